@@ -16,23 +16,27 @@ class XkcdTooltip {
      * @param {Number} options.position.x - X position
      * @param {Number} options.position.y - Y position
      * @param {Boolean} options.unxkcdify - Whether to disable xkcd filter
+     * @param {String} options.filterId - ID of the chart's xkcdify filter
      * @param {String} options.backgroundColor - Background color
      * @param {String} options.strokeColor - Stroke color
+     * @param {String} options.textColor - Text color, the stroke color when not set
      * @param {String} options.fontFamily - Font family to use
      * @param {Number} options.chartWidth - Chart width for edge detection
      * @param {Number} options.chartHeight - Chart height for edge detection
      */
     constructor({
-        parent, title, items, position, unxkcdify,
-        backgroundColor, strokeColor, fontFamily,
+        parent, title, items, position, unxkcdify, filterId = 'xkcdify',
+        backgroundColor, strokeColor, textColor = strokeColor, fontFamily,
         chartWidth, chartHeight
     }) {
+        this.parent = parent;
         this.title = title;
         this.items = items;
         this.position = position;
-        this.filter = !unxkcdify ? 'url(#xkcdify)' : null;
+        this.filter = !unxkcdify ? `url(#${filterId})` : null;
         this.backgroundColor = backgroundColor;
         this.strokeColor = strokeColor;
+        this.textColor = textColor;
         this.fontFamily = fontFamily;
         this.chartWidth = chartWidth;
         this.chartHeight = chartHeight;
@@ -53,7 +57,7 @@ class XkcdTooltip {
         this.tipBackground = this.svg.append('rect')
             .style('fill', this.backgroundColor)
             .attr('fill-opacity', 0.9)
-            .attr('stroke', strokeColor)
+            .style('stroke', strokeColor)
             .attr('stroke-width', 2)
             .attr('rx', 5)
             .attr('ry', 5)
@@ -67,7 +71,7 @@ class XkcdTooltip {
         this.tipTitle = this.svg.append('text')
             .style('font-size', 15)
             .style('font-weight', 'bold')
-            .style('fill', this.strokeColor)
+            .style('fill', this.textColor)
             .style('font-family', this.fontFamily)
             .attr('x', 15)
             .attr('y', 25)
@@ -158,7 +162,7 @@ class XkcdTooltip {
         // Add item text
         svg.append('text')
             .style('font-size', '15')
-            .style('fill', this.strokeColor)
+            .style('fill', this.textColor)
             .style('font-family', this.fontFamily) // Ensure font is set here 
             .attr('x', 15 + 12)
             .attr('y', 37 + 20 * i + 8)
@@ -209,14 +213,16 @@ class XkcdTooltip {
         if (this.position.type === 'auto') {
             // Get the current mouse X position
             const mouseX = this.position.x;
+            const bounds = this._getVisibleBounds();
+            const rightEdge = bounds ? bounds.right : this.chartWidth;
             
             // Calculate if the tooltip would extend beyond the right edge
-            if (mouseX + tooltipWidth + this.safetyBuffer > this.chartWidth) {
-                // Position to the left of the cursor
-                return mouseX - tooltipWidth - 10; // Add 10px padding
-            }
-            // Otherwise show to the right of the cursor
-            return mouseX + 10; // Add 10px padding
+            const x = mouseX + tooltipWidth + this.safetyBuffer > rightEdge
+                ? mouseX - tooltipWidth - 10 // Position to the left of the cursor
+                : mouseX + 10; // Otherwise show to the right of the cursor
+
+            // Keep the tooltip on screen when the chart is wider than the viewport
+            return bounds ? Math.max(bounds.left, Math.min(x, bounds.right - tooltipWidth)) : x;
         }
 
         // Explicit positioning
@@ -237,21 +243,24 @@ class XkcdTooltip {
         if (this.position.type === 'auto') {
             // Get the current mouse Y position
             const mouseY = this.position.y;
+            const bounds = this._getVisibleBounds();
+            const topEdge = bounds ? bounds.top : 0;
+            const bottomEdge = bounds ? bounds.bottom : this.chartHeight;
+            let y;
             
-            // If tooltip would go off the bottom
-            if (mouseY + tooltipHeight + this.safetyBuffer > this.chartHeight) {
-                // Position above the cursor
-                return mouseY - tooltipHeight - 10; // Add 10px padding
-            }
-            
-            // If tooltip would go off the top
-            if (mouseY - this.safetyBuffer < 0) {
-                // Position below the cursor
-                return this.safetyBuffer; // Add minimum padding from top
+            if (mouseY + tooltipHeight + this.safetyBuffer > bottomEdge) {
+                // If tooltip would go off the bottom, position above the cursor
+                y = mouseY - tooltipHeight - 10; // Add 10px padding
+            } else if (mouseY - this.safetyBuffer < topEdge) {
+                // If tooltip would go off the top, position below the cursor
+                y = topEdge + this.safetyBuffer; // Add minimum padding from top
+            } else {
+                // Otherwise show below the cursor
+                y = mouseY + 10; // Add 10px padding
             }
-            
-            // Otherwise show below the cursor
-            return mouseY + 10; // Add 10px padding
+
+            // Keep the tooltip on screen when the chart is taller than the viewport
+            return bounds ? Math.max(bounds.top, Math.min(y, bounds.bottom - tooltipHeight)) : y;
         }
         
         // Explicit positioning
@@ -260,6 +269,33 @@ class XkcdTooltip {
         }
         return this.position.y - tooltipHeight;
     }
+
+    /**
+     * Part of the chart visible in the browser viewport, in the parent's coordinates
+     * Returns null when the chart has not been laid out (e.g. rendered headless)
+     * @private
+     */
+    _getVisibleBounds() {
+        const parentNode = this.parent.node();
+        const root = parentNode.ownerSVGElement || parentNode;
+        const view = root.ownerDocument.defaultView;
+        const rect = root.getBoundingClientRect();
+
+        const left = Math.max(rect.left, 0);
+        const top = Math.max(rect.top, 0);
+        const right = Math.min(rect.right, view ? view.innerWidth : rect.right);
+        const bottom = Math.min(rect.bottom, view ? view.innerHeight : rect.bottom);
+
+        if (!(right > left && bottom > top)) {
+            return null;
+        }
+
+        // Convert the visible screen area to the coordinates the tooltip is placed in
+        const [x1, y1] = d3.pointer({ clientX: left, clientY: top }, parentNode);
+        const [x2, y2] = d3.pointer({ clientX: right, clientY: bottom }, parentNode);
+
+        return { left: x1, top: y1, right: x2, bottom: y2 };
+    }
 }
 
 export default XkcdTooltip;
\ No newline at end of file
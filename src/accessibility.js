@@ -0,0 +1,189 @@
+/**
+ * Accessibility helpers shared by every chart type
+ * ARIA labelling, keyboard navigation with screen reader announcements
+ * and a visually hidden data table
+ */
+
+// Class that hides content visually but keeps it readable by screen readers
+const SR_ONLY_CLASS = 'handwritten-graph-sr-only';
+
+/**
+ * Label the chart SVG for assistive technology
+ * @param {Object} root - D3 selection of the chart's root SVG element
+ * @param {Object} options - Labelling options
+ * @param {String} options.id - Unique prefix for the title and description IDs
+ * @param {String} options.label - Short accessible name of the chart
+ * @param {String} options.description - Longer description, e.g. how to navigate
+ */
+function describeChart(root, { id, label, description }) {
+    const titleId = `${id}-title`;
+    const descId = `${id}-desc`;
+
+    // A figure rather than an img, so the legend buttons inside stay reachable
+    root.attr('role', 'figure')
+        .attr('aria-roledescription', 'chart')
+        .attr('aria-labelledby', titleId)
+        .attr('aria-describedby', description ? descId : null);
+
+    // Title and description come first so they describe the whole SVG
+    if (description) {
+        root.insert('desc', ':first-child')
+            .attr('id', descId)
+            .text(description);
+    }
+
+    root.insert('title', ':first-child')
+        .attr('id', titleId)
+        .text(label);
+}
+
+/**
+ * Turn tooltip content into a sentence for screen readers
+ * @param {Object} content - Tooltip content with title and items
+ * @returns {String} Announcement text
+ */
+function describeContent({ title, items }) {
+    return `${title}: ${items.map(item => item.text).join(', ')}`;
+}
+
+/**
+ * Let keyboard users focus the chart and step through its data with the arrow keys
+ * Every step shows the same tooltip as hovering and is announced to screen readers
+ * @param {Object} root - D3 selection of the chart's root SVG element
+ * @param {Object} options - Navigation options
+ * @param {Object} options.container - D3 selection of the chart container, holds the live region
+ * @param {Array} options.targets - Elements to step through, in reading order
+ * @param {Function} options.show - Shows the tooltip for a target, returns its { title, items }
+ * @param {Function} options.hide - Hides the tooltip shown for a target
+ */
+function bindKeyboardNavigation(root, { container, targets, show, hide }) {
+    // Polite live region so screen readers read each step without interrupting
+    const liveRegion = container.append('div')
+        .attr('class', SR_ONLY_CLASS)
+        .attr('aria-live', 'polite')
+        .attr('aria-atomic', 'true');
+
+    root.attr('tabindex', targets.length ? 0 : null);
+
+    let current = -1;
+
+    function select(index) {
+        if (current >= 0) {
+            hide(targets[current]);
+        }
+
+        current = index;
+        liveRegion.text(describeContent(show(targets[current])));
+    }
+
+    function leave() {
+        if (current >= 0) {
+            hide(targets[current]);
+        }
+
+        liveRegion.text('');
+    }
+
+    root
+        .on('focus.keyboard', () => {
+            if (targets.length) {
+                select(Math.max(0, current));
+            }
+        })
+        .on('blur.keyboard', leave)
+        .on('keydown.keyboard', event => {
+            // Keys pressed on a legend entry bubble up here, they are not meant for the data
+            if (event.target !== root.node()) {
+                return;
+            }
+
+            const last = targets.length - 1;
+            const moves = {
+                ArrowRight: current + 1,
+                ArrowDown: current + 1,
+                ArrowLeft: current - 1,
+                ArrowUp: current - 1,
+                Home: 0,
+                End: last
+            };
+
+            if (event.key === 'Escape') {
+                leave();
+                return;
+            }
+
+            if (!(event.key in moves) || !targets.length) {
+                return;
+            }
+
+            event.preventDefault();
+            select(Math.max(0, Math.min(last, moves[event.key])));
+        });
+}
+
+/**
+ * Add a visually hidden table with the chart data for screen reader users
+ * @param {Object} container - D3 selection of the chart container
+ * @param {Object} options - Table options
+ * @param {String} options.caption - Table caption
+ * @param {Array} options.columns - Column headings
+ * @param {Array} options.rows - Rows of cell values, the first cell is the row heading
+ */
+function drawDataTable(container, { caption, columns, rows }) {
+    const table = container.append('table')
+        .attr('class', `${SR_ONLY_CLASS} handwritten-graph-data-table`);
+
+    table.append('caption').text(caption);
+
+    table.append('thead')
+        .append('tr')
+        .selectAll('th')
+        .data(columns)
+        .enter()
+        .append('th')
+        .attr('scope', 'col')
+        .text(d => d);
+
+    const bodyRows = table.append('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .enter()
+        .append('tr');
+
+    bodyRows.append('th')
+        .attr('scope', 'row')
+        .text(row => row[0]);
+
+    bodyRows.selectAll('td')
+        .data(row => row.slice(1))
+        .enter()
+        .append('td')
+        .text(d => (d === null || d === undefined ? '' : d));
+}
+
+/**
+ * Make a drawn chart accessible: ARIA labelling, keyboard navigation and the optional data table
+ * @param {Object} container - D3 selection of the chart container holding the chart SVG
+ * @param {Object} options - Accessibility options
+ * @param {String} options.id - Chart instance ID prefix
+ * @param {Object} options.settings - Resolved chart configuration with ariaLabel, ariaDescription, dataTable and title
+ * @param {String} options.type - Chart type name used in the default label, e.g. 'Line chart'
+ * @param {Array} options.names - Series or slice names listed in the default label
+ * @param {String} options.hint - Default description telling how to navigate the chart
+ * @param {Object} options.navigation - Keyboard targets with show and hide functions
+ * @param {Function} options.getTable - Returns the data table { caption, columns, rows }
+ */
+export function makeChartAccessible(container, { id, settings, type, names, hint, navigation, getTable }) {
+    const { ariaLabel, ariaDescription, dataTable, title } = settings;
+    const root = container.select('svg');
+    const listed = names.filter(name => name !== undefined && name !== null && name !== '');
+    const summary = listed.length ? `${type}: ${listed.join(', ')}` : type;
+    const label = ariaLabel || (title ? `${title}. ${summary}` : summary);
+
+    describeChart(root, { id, label, description: ariaDescription || hint });
+    bindKeyboardNavigation(root, { container, ...navigation });
+
+    if (dataTable) {
+        drawDataTable(container, { caption: label, ...getTable() });
+    }
+}
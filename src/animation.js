@@ -0,0 +1,413 @@
+/**
+ * Chart animations
+ * Entrance animations sketch a chart in: strokes trace themselves like a pen on paper,
+ * points pop in after the pen passes and scribble fills are hatched in.
+ * Update transitions morph a redrawn chart from its previous drawing
+ */
+import * as d3 from 'd3';
+import { createPathSampler } from './pathSampler';
+
+/**
+ * Resolve the entrance animation settings of a chart
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} context - Chart instance context
+ * @param {Object} doc - Document the chart is drawn in
+ * @returns {Object} Animation timing { duration, ease, stagger }, null when the chart should not animate
+ */
+export function getEntranceAnimation(settings, context, doc) {
+    const { animate, animationDuration, animationEasing, animationStagger } = settings;
+
+    // Only the first drawing is sketched, later redraws show up at once
+    if (!animate || !context.firstDraw || prefersReducedMotion(doc)) {
+        return null;
+    }
+
+    return {
+        duration: animationDuration,
+        ease: typeof animationEasing === 'function' ? animationEasing : (d3[animationEasing] || d3.easeCubicInOut),
+        stagger: animationStagger
+    };
+}
+
+/**
+ * Check whether the user asked the system to minimize motion
+ * @param {Object} doc - Document the chart is drawn in
+ * @returns {Boolean} True when animations should be skipped
+ */
+export function prefersReducedMotion(doc) {
+    const view = doc && doc.defaultView;
+
+    return !!(view && view.matchMedia && view.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Time at which an eased transition reaches a given progress
+ * Used to pop points in right after the pen has passed them
+ * @param {Function} ease - Easing function
+ * @param {Number} progress - Progress between 0 and 1
+ * @returns {Number} Normalized time between 0 and 1
+ */
+export function timeToReach(ease, progress) {
+    let low = 0;
+    let high = 1;
+
+    // Easing functions only move forward, so bisection finds the time
+    for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+
+        if (ease(mid) < progress) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return high;
+}
+
+/**
+ * Trace paths from start to end as if they were being drawn
+ * Dashed and unstroked paths keep their look and fade in instead
+ * @param {Object} selection - D3 selection of path elements
+ * @param {Object} animation - Animation timing { duration, ease }
+ * @param {Function|Number} delay - Delay before each path starts, in milliseconds
+ */
+export function drawPathsIn(selection, { duration, ease }, delay = 0) {
+    selection.each(function (d, i) {
+        const path = d3.select(this);
+        const start = typeof delay === 'function' ? delay.call(this, d, i) : delay;
+
+        const dashed = path.attr('stroke-dasharray') && path.attr('stroke-dasharray') !== 'none';
+        const stroke = this.style.getPropertyValue('stroke') || path.attr('stroke');
+        const unstroked = !stroke || stroke === 'none';
+
+        if (dashed || unstroked) {
+            fadeIn(path, { duration, ease }, start);
+            return;
+        }
+
+        // Measure without the DOM so this works before the chart is laid out
+        const length = createPathSampler(path.attr('d')).length;
+
+        path
+            .attr('stroke-dasharray', `${length} ${length}`)
+            .attr('stroke-dashoffset', length)
+            .transition('entrance')
+            .delay(start)
+            .duration(duration)
+            .ease(ease)
+            .attr('stroke-dashoffset', 0)
+            .on('end', function () {
+                d3.select(this)
+                    .attr('stroke-dasharray', null)
+                    .attr('stroke-dashoffset', null);
+            });
+    });
+}
+
+/**
+ * Fade elements in
+ * @param {Object} selection - D3 selection of elements
+ * @param {Object} animation - Animation timing { duration, ease }
+ * @param {Function|Number} delay - Delay before each element appears, in milliseconds
+ */
+export function fadeIn(selection, { duration, ease }, delay = 0) {
+    selection
+        .style('opacity', 0)
+        .transition('entrance')
+        .delay(delay)
+        .duration(duration)
+        .ease(ease)
+        .style('opacity', null);
+}
+
+/**
+ * Let the fill of shapes appear once their outline has been drawn
+ * @param {Object} selection - D3 selection of filled shapes
+ * @param {Object} animation - Animation timing { duration, ease }
+ * @param {Function|Number} delay - Delay before each fill appears, in milliseconds
+ */
+export function fillIn(selection, { duration, ease }, delay = 0) {
+    selection.each(function (d, i) {
+        const shape = d3.select(this);
+        const opacity = shape.attr('fill-opacity');
+
+        shape
+            .attr('fill-opacity', 0)
+            .transition('entrance-fill')
+            .delay(typeof delay === 'function' ? delay.call(this, d, i) : delay)
+            .duration(duration)
+            .ease(ease)
+            .attr('fill-opacity', opacity === null ? 1 : opacity)
+            .on('end', function () {
+                d3.select(this).attr('fill-opacity', opacity);
+            });
+    });
+}
+
+/**
+ * Trace the axis lines and let the ticks and grid appear along them
+ * @param {Object} svg - D3 selection of the plot group holding the axes
+ * @param {Object} animation - Animation timing { duration, ease }
+ */
+export function sketchAxesIn(svg, animation) {
+    const { duration, ease } = animation;
+
+    drawPathsIn(svg.selectAll('.axis .domain, .zero-line'), animation);
+
+    svg.selectAll('.axis').each(function () {
+        const ticks = d3.select(this).selectAll('.tick');
+        const count = ticks.size() || 1;
+
+        // Ticks show up one by one as the pen reaches them
+        ticks.call(fadeIn, { duration: duration / 4, ease }, (d, i) => timeToReach(ease, (i + 0.5) / count) * duration);
+    });
+
+    fadeIn(svg.selectAll('.grid'), animation, duration / 2);
+}
+
+/**
+ * Trace the legend border, then let the entries appear one after another
+ * @param {Object} legend - D3 selection of the legend group
+ * @param {Object} animation - Animation timing { duration, ease, stagger }
+ */
+export function sketchLegendIn(legend, animation) {
+    const border = legend.select('.legend-border');
+
+    drawPathsIn(border, animation);
+    fillIn(border, animation);
+    fadeIn(legend.selectAll('.legend-item'), animation, (d, i) => i * animation.stagger);
+}
+
+/**
+ * Pop circles in by growing their radius
+ * @param {Object} selection - D3 selection of circle elements
+ * @param {Object} animation - Animation timing { duration }
+ * @param {Function|Number} delay - Delay before each circle appears, in milliseconds
+ */
+export function popIn(selection, { duration }, delay = 0) {
+    selection.each(function (d, i) {
+        const circle = d3.select(this);
+        const radius = circle.attr('r');
+
+        circle
+            .attr('r', 0)
+            .transition('entrance')
+            .delay(typeof delay === 'function' ? delay.call(this, d, i) : delay)
+            .duration(Math.min(300, duration / 2))
+            .ease(d3.easeBackOut)
+            .attr('r', radius);
+    });
+}
+
+/**
+ * Hatch scribble fill patterns in, one stroke group after another
+ * @param {Object} defs - D3 selection of the chart defs holding the patterns
+ * @param {Object} animation - Animation timing { duration, ease, stagger }
+ * @param {Function|Number} delay - Delay before each pattern starts, called with the pattern index
+ */
+export function hatchPatternsIn(defs, animation, delay = 0) {
+    const stroke = { duration: animation.duration / 2, ease: animation.ease };
+
+    defs.selectAll('pattern').each(function (d, patternIndex) {
+        const pattern = d3.select(this);
+        const start = typeof delay === 'function' ? delay(patternIndex) : delay;
+        const strokes = pattern.selectAll('path');
+        const count = strokes.size() || 1;
+
+        // Spread the strokes of a pattern over the animation like quick pen movements
+        fadeIn(pattern.selectAll('rect'), stroke, start);
+        drawPathsIn(strokes, stroke, (s, i) => start + (i / count) * stroke.duration);
+    });
+}
+
+// Attributes that are tweened from their previous value when a chart is redrawn with new data
+const MORPHED_ATTRIBUTES = ['d', 'transform', 'cx', 'cy', 'r', 'x', 'y', 'width', 'height', 'x1', 'x2', 'y1', 'y2'];
+
+// Number of points each subpath is sampled at when one path morphs into another
+const MORPH_SAMPLES = 100;
+
+/**
+ * Resolve the transition settings used when a chart is redrawn with new data
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} doc - Document the chart is drawn in
+ * @returns {Object} Transition timing { duration, ease }, null when the chart should redraw at once
+ */
+export function getUpdateTransition(settings, doc) {
+    const { animateUpdates, transitionDuration, animationEasing } = settings;
+
+    if (!animateUpdates || !(transitionDuration > 0) || prefersReducedMotion(doc)) {
+        return null;
+    }
+
+    return {
+        duration: transitionDuration,
+        ease: typeof animationEasing === 'function' ? animationEasing : (d3[animationEasing] || d3.easeCubicInOut)
+    };
+}
+
+/**
+ * Split a path into its subpaths, each starting at an absolute moveto
+ * @param {String} pathString - SVG path string
+ * @returns {Array} Subpath strings
+ */
+function splitSubpaths(pathString) {
+    return String(pathString || '').split(/(?=M)/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Interpolate between two SVG paths of any shape
+ * Each subpath is sampled at the same number of points as its counterpart and moved
+ * point by point, so pieces like the barbs of an arrow morph without being joined up.
+ * The exact target path is used once the transition ends
+ * @param {String} from - Path the shape starts as
+ * @param {String} to - Path the shape ends as
+ * @returns {Function} Interpolator returning a path string for t in [0, 1],
+ * null when the paths have a different number of subpaths
+ */
+export function interpolatePath(from, to) {
+    const sample = pathString => {
+        const path = createPathSampler(pathString);
+        return d3.range(MORPH_SAMPLES + 1).map(i => path.getPointAtLength(path.length * i / MORPH_SAMPLES));
+    };
+    const starts = splitSubpaths(from).map(sample);
+    const ends = splitSubpaths(to).map(sample);
+
+    if (!starts.length || starts.length !== ends.length) {
+        return null;
+    }
+
+    return t => {
+        if (t >= 1) {
+            return to;
+        }
+
+        return starts.map((start, s) => {
+            const end = ends[s];
+            return `M${start.map((p, i) => `${p.x + (end[i].x - p.x) * t},${p.y + (end[i].y - p.y) * t}`).join('L')}`;
+        }).join('');
+    };
+}
+
+/**
+ * Fade an element of the previous drawing out and remove it
+ * @param {Object} node - Element from the previous drawing, already placed in the new one
+ * @param {Object} transition - Transition timing { duration, ease }
+ */
+function fadeOut(node, { duration, ease }) {
+    d3.select(node)
+        .style('pointer-events', 'none')
+        .transition('update')
+        .duration(duration)
+        .ease(ease)
+        .style('opacity', 0)
+        .remove();
+}
+
+/**
+ * Tween an element from the look of its previous drawing to its new one
+ * @param {Object} previous - Element from the previous drawing
+ * @param {Object} element - Element from the new drawing
+ * @param {Object} transition - Transition timing { duration, ease }
+ */
+function morphElement(previous, element, transition) {
+    const changed = MORPHED_ATTRIBUTES.filter(name => {
+        const from = previous.getAttribute(name);
+        const to = element.getAttribute(name);
+        return from !== null && to !== null && from !== to;
+    });
+
+    if (!changed.length) {
+        return;
+    }
+
+    // Paths made of a different number of pieces cannot morph, the old one fades out over the new one
+    const pathTween = changed.includes('d') ? interpolatePath(previous.getAttribute('d'), element.getAttribute('d')) : null;
+    if (changed.includes('d') && !pathTween) {
+        element.parentNode.insertBefore(previous, element);
+        fadeOut(previous, transition);
+        fadeIn(d3.select(element), transition);
+        return;
+    }
+
+    const node = d3.select(element);
+    const tween = node.transition('update')
+        .duration(transition.duration)
+        .ease(transition.ease);
+
+    changed.forEach(name => {
+        const from = previous.getAttribute(name);
+        const to = element.getAttribute(name);
+
+        node.attr(name, from);
+
+        if (name === 'd') {
+            tween.attrTween('d', () => pathTween);
+        } else {
+            tween.attr(name, to);
+        }
+    });
+}
+
+/**
+ * Find where an element of the previous drawing belongs in the new drawing
+ * This is the new counterpart of its closest keyed ancestor, or the plot group
+ * @param {Object} node - Element from the previous drawing
+ * @param {Map} elements - New elements by key
+ * @param {Object} root - Root SVG element of the new drawing
+ * @returns {Object} Parent element in the new drawing
+ */
+function findNewParent(node, elements, root) {
+    for (let parent = node.parentNode; parent && parent.getAttribute; parent = parent.parentNode) {
+        const key = parent.getAttribute('data-key');
+
+        if (key !== null && elements.has(key)) {
+            return elements.get(key);
+        }
+    }
+
+    return root.querySelector('g') || root;
+}
+
+/**
+ * Transition a chart from its previous drawing to the new one
+ * Elements are matched by their data-key attribute: matched elements morph,
+ * new ones scribble or fade in and removed ones fade out
+ * @param {Object} previousRoot - Root SVG element of the previous drawing, already detached
+ * @param {Object} root - Root SVG element of the new drawing
+ * @param {Object} transition - Transition timing { duration, ease }
+ */
+export function transitionChanges(previousRoot, root, transition) {
+    const keyed = container => new Map(Array.from(container.querySelectorAll('[data-key]'), node => [node.getAttribute('data-key'), node]));
+    const previousElements = keyed(previousRoot);
+    const elements = keyed(root);
+
+    elements.forEach((element, key) => {
+        const previous = previousElements.get(key);
+
+        if (previous) {
+            morphElement(previous, element, transition);
+        } else if (element.tagName.toLowerCase() === 'path' && element.getAttribute('fill') === 'none') {
+            drawPathsIn(d3.select(element), transition);
+        } else {
+            fadeIn(d3.select(element), transition);
+        }
+    });
+
+    previousElements.forEach((node, key) => {
+        if (elements.has(key)) {
+            return;
+        }
+
+        // Removed groups fade out as a whole, their keyed children go with them
+        for (let parent = node.parentNode; parent && parent.getAttribute; parent = parent.parentNode) {
+            const parentKey = parent.getAttribute('data-key');
+            if (parentKey !== null && !elements.has(parentKey)) {
+                return;
+            }
+        }
+
+        findNewParent(node, elements, root).appendChild(node);
+        fadeOut(node, transition);
+    });
+}
@@ -0,0 +1,206 @@
+/**
+ * xkcd-style annotations
+ * Handwritten notes with curvy arrows pointing at spots in the data
+ */
+import { addHandDrawnEffect } from './handDrawnUtils';
+import { createRandom } from './random';
+import { createTextMeasurer } from './textMeasurer';
+
+// Note text size and line spacing in pixels
+const FONT_SIZE = 16;
+const LINE_HEIGHT = 18;
+
+// Space kept around notes, and between the arrow ends and what they connect
+const NOTE_PADDING = 6;
+
+// Offset of a note from its target when the annotation does not give one
+const DEFAULT_OFFSET = { dx: 40, dy: -40 };
+
+// Spots tried for a note, as multiples of its offset, when the preferred one is taken
+const CANDIDATE_SCALES = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1.5, 1.5], [-1.5, 1.5], [1.5, -1.5], [-1.5, -1.5],
+    [2, 2], [-2, 2], [2, -2], [-2, -2]
+];
+
+/**
+ * Check whether two boxes come closer than the note padding
+ * @param {Object} a - Box { x0, y0, x1, y1 }
+ * @param {Object} b - Box { x0, y0, x1, y1 }
+ * @returns {Boolean} True when the boxes overlap
+ */
+function overlaps(a, b) {
+    return a.x0 < b.x1 + NOTE_PADDING && b.x0 < a.x1 + NOTE_PADDING
+        && a.y0 < b.y1 + NOTE_PADDING && b.y0 < a.y1 + NOTE_PADDING;
+}
+
+/**
+ * Place notes next to their targets without covering each other or any target
+ * Notes are placed in order and keep their preferred spot whenever it is free,
+ * so a note only moves when another note takes its place
+ * @param {Array} notes - Notes { target, width, height, dx, dy }
+ * @param {Object} plot - Plot area size { width, height }
+ * @returns {Array} Box { x0, y0, x1, y1 } of each note
+ */
+export function placeNotes(notes, { width, height }) {
+    const targets = notes.map(({ target }) => ({ x0: target.x, y0: target.y, x1: target.x, y1: target.y }));
+    const placed = [];
+
+    notes.forEach(note => {
+        const candidates = CANDIDATE_SCALES.map(([sx, sy]) => {
+            const cx = note.target.x + note.dx * sx;
+            const cy = note.target.y + note.dy * sy;
+            return {
+                x0: cx - note.width / 2,
+                y0: cy - note.height / 2,
+                x1: cx + note.width / 2,
+                y1: cy + note.height / 2
+            };
+        });
+        const inPlot = box => box.x0 >= 0 && box.y0 >= 0 && box.x1 <= width && box.y1 <= height;
+        const isFree = box => !placed.some(other => overlaps(box, other)) && !targets.some(target => overlaps(box, target));
+
+        // Keep the note in the plot even when every spot is taken
+        let box = candidates.find(candidate => inPlot(candidate) && isFree(candidate))
+            || candidates.find(inPlot);
+        if (!box) {
+            const [preferred] = candidates;
+            const shiftX = Math.max(0, -preferred.x0) - Math.max(0, preferred.x1 - width);
+            const shiftY = Math.max(0, -preferred.y0) - Math.max(0, preferred.y1 - height);
+            box = { x0: preferred.x0 + shiftX, y0: preferred.y0 + shiftY, x1: preferred.x1 + shiftX, y1: preferred.y1 + shiftY };
+        }
+
+        placed.push(box);
+    });
+
+    return placed;
+}
+
+/**
+ * Create a curved arrow from a note to its target, with an open arrowhead
+ * @param {Object} box - Note box { x0, y0, x1, y1 }
+ * @param {Object} target - Point the arrow points at { x, y }
+ * @param {Object} options - Arrow options
+ * @param {Number} options.jitter - Amount of jitter, 0 for a smooth arrow
+ * @param {Function} options.random - Random number generator returning values in [0, 1)
+ * @returns {String} Arrow path, null when the note sits on its target
+ */
+function createArrowPath(box, target, { jitter, random }) {
+    // Leave from the side of the note facing the target
+    const edge = {
+        x: Math.max(box.x0, Math.min(box.x1, target.x)),
+        y: Math.max(box.y0, Math.min(box.y1, target.y))
+    };
+    const distance = Math.hypot(target.x - edge.x, target.y - edge.y);
+
+    if (distance < NOTE_PADDING * 3) {
+        return null;
+    }
+
+    const ux = (target.x - edge.x) / distance;
+    const uy = (target.y - edge.y) / distance;
+    const start = { x: edge.x + ux * NOTE_PADDING / 2, y: edge.y + uy * NOTE_PADDING / 2 };
+    const end = { x: target.x - ux * NOTE_PADDING, y: target.y - uy * NOTE_PADDING };
+
+    // Bow the arrow to one side, the side is part of the note's own wobble
+    const bend = (random() < 0.5 ? -1 : 1) * distance * 0.3;
+    const control = {
+        x: (start.x + end.x) / 2 - uy * bend,
+        y: (start.y + end.y) / 2 + ux * bend
+    };
+    const curve = `M${start.x},${start.y}Q${control.x},${control.y} ${end.x},${end.y}`;
+
+    // Barbs point back along the curve where it meets the target
+    const angle = Math.atan2(end.y - control.y, end.x - control.x);
+    const barbs = [-0.45, 0.45].map(spread => {
+        const barb = `M${end.x},${end.y}L${end.x - Math.cos(angle + spread) * 9},${end.y - Math.sin(angle + spread) * 9}`;
+        return jitter ? addHandDrawnEffect(barb, jitter / 2, 4, random) : barb;
+    });
+
+    return [jitter ? addHandDrawnEffect(curve, jitter, 20, random) : curve, ...barbs].join('');
+}
+
+/**
+ * Draw annotations as handwritten notes with curved arrows to their targets
+ * @param {Object} svg - D3 selection of the plot group
+ * @param {Array} notes - Notes { key, target: { x, y }, text, dx, dy, color } in plot coordinates
+ * @param {Object} options - Annotation options
+ * @param {Number} options.width - Plot area width
+ * @param {Number} options.height - Plot area height
+ * @param {Object} options.settings - Resolved chart configuration
+ * @returns {Object} D3 selection of the annotation layer
+ */
+export function drawAnnotations(svg, notes, { width, height, settings }) {
+    const {
+        fontFamily, textColor, handDrawnEffect, handDrawnJitter, strokeLinecap, seed
+    } = settings;
+
+    const layer = svg.append('g')
+        .attr('class', 'annotations')
+        .style('pointer-events', 'none');
+
+    if (!notes.length) {
+        return layer;
+    }
+
+    // Measure each line of every note to size its box
+    const measurer = createTextMeasurer(layer, { fontFamily, fontSize: FONT_SIZE });
+    const sized = notes.map(note => {
+        const lines = String(note.text).split('\n');
+        return {
+            ...note,
+            lines,
+            dx: note.dx === undefined || note.dx === null ? DEFAULT_OFFSET.dx : note.dx,
+            dy: note.dy === undefined || note.dy === null ? DEFAULT_OFFSET.dy : note.dy,
+            width: Math.max(...lines.map(line => measurer.measure(line))),
+            height: lines.length * LINE_HEIGHT
+        };
+    });
+    measurer.remove();
+
+    const boxes = placeNotes(sized, { width, height });
+
+    sized.forEach((note, i) => {
+        const box = boxes[i];
+        const color = note.color || textColor;
+
+        // Every note wobbles on its own so it keeps its look when the data changes
+        const random = createRandom(`${seed}:annotation:${note.key}`);
+        const tilt = handDrawnEffect ? (random() - 0.5) * 4 : 0;
+
+        const text = layer.append('g')
+            .attr('class', 'annotation')
+            .attr('data-key', `annotation:${note.key}`)
+            .attr('transform', `translate(${(box.x0 + box.x1) / 2}, ${(box.y0 + box.y1) / 2}) rotate(${tilt})`)
+            .append('text')
+            .attr('text-anchor', 'middle')
+            .style('font-family', fontFamily)
+            .style('font-size', `${FONT_SIZE}px`)
+            .style('fill', color);
+
+        note.lines.forEach((line, lineIndex) => {
+            text.append('tspan')
+                .attr('x', 0)
+                .attr('y', (lineIndex + 1) * LINE_HEIGHT - note.height / 2 - 4)
+                .text(line);
+        });
+
+        const arrow = createArrowPath(box, note.target, {
+            jitter: handDrawnEffect ? handDrawnJitter : 0,
+            random
+        });
+
+        if (arrow) {
+            layer.append('path')
+                .attr('class', 'annotation-arrow')
+                .attr('data-key', `annotation-arrow:${note.key}`)
+                .attr('d', arrow)
+                .attr('fill', 'none')
+                .style('stroke', color)
+                .attr('stroke-width', 1.5)
+                .attr('stroke-linecap', strokeLinecap);
+        }
+    });
+
+    return layer;
+}
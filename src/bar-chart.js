@@ -0,0 +1,375 @@
+/**
+ * Hand-drawn bar chart library using D3.js
+ * This creates vertical or horizontal bar charts with a hand-drawn aesthetic,
+ * scribble filled bars and multi-series tooltips for each label
+ */
+import * as d3 from 'd3';
+import { createHandDrawnRect, createXkcdFilter } from './handDrawnUtils';
+import { createScribblePatternSet, createOilPaintPatternSet } from './scribbleFills';
+import {
+    drawGrid, drawAxes, bindSeriesTooltip, getMarginFrame, getSeriesKey
+} from './chartComponents';
+import { createChartInstance } from './chartInstance';
+import { createRandom } from './random';
+import { makeChartAccessible } from './accessibility';
+import { getTitleSpace, reserveTitleSpace, drawTitles } from './titles';
+import { placeLegend, drawLegend } from './legend';
+import { getEntranceAnimation, drawPathsIn, fillIn, sketchAxesIn, sketchLegendIn, hatchPatternsIn } from './animation';
+
+// Default configuration
+const defaultConfig = {
+    width: 960,
+    height: 500,
+    margin: { top: 10, right: 10, bottom: 40, left: 50 },
+    responsive: false,    // Follow the container width and re-layout when it resizes
+    maintainAspectRatio: true, // Keep the width/height ratio in responsive mode, otherwise fill the container height
+    theme: 'classic',     // Theme preset name, or a theme object overriding a preset (see themes.js)
+    title: null,          // Chart title, the plot shrinks to make room for it
+    subtitle: null,       // Smaller line of text under the title
+    titleUnderline: false, // Underline the title with a hand-drawn stroke
+    xAxisLabel: null,     // Title under the x axis
+    yAxisLabel: null,     // Title along the y axis
+    orientation: 'vertical', // Bar direction: 'vertical' or 'horizontal'
+    layout: 'grouped',    // Series layout: 'grouped' side by side, 'stacked' or 'percent' (100% stacked)
+    barPadding: 0.2,      // Space between label groups as a fraction of the band (0-1)
+    handDrawnEffect: true, // Toggle for hand-drawn effect
+    handDrawnJitter: 2,   // Amount of jitter for hand-drawn effect
+    axisArrows: false,    // End the hand-drawn axes in xkcd-style arrowheads
+    seed: null,           // Seed for reproducible hand-drawn jitter (random when not set)
+    id: null,             // Prefix for the chart's SVG element IDs, numbered to keep them unique
+    strokeLinecap: 'round', // Rounded line caps for hand-drawn effect
+    strokeLinejoin: 'round', // Rounded line joins for hand-drawn effect
+    tooltipBorderWidth: 2, // Tooltip border width
+    tooltipBorderRadius: 5, // Tooltip border radius
+    tooltipOpacity: 0.9,  // Tooltip background opacity
+    legend: { position: 'inside-top-right' }, // Legend position, flow and columns, or false for none (see legend.js)
+    legendBorder: false,  // Whether to show border around legend
+    ariaLabel: null,      // Accessible name of the chart, lists the series when not set
+    ariaDescription: null, // Accessible description, explains the keyboard navigation when not set
+    dataTable: false,     // Add a visually hidden table with the data for screen readers
+    useScribbleFill: true, // Use scribble fill patterns instead of solid colors
+    animate: false,       // Sketch the chart in when it is first drawn
+    animationDuration: 1000, // Time taken to draw a series, in milliseconds
+    animationEasing: 'easeCubicInOut', // Name of a d3 easing function, or an easing function
+    animationStagger: 150, // Delay between series starting to draw, in milliseconds
+    animateUpdates: true, // Morph the chart to new data instead of redrawing it at once
+    transitionDuration: 500 // Duration of the update transition in milliseconds
+};
+
+/**
+ * Create handwritten-style bar chart
+ * @param {String} selector - CSS selector for container element
+ * @param {Object} data - Chart data with labels and datasets
+ * @param {Object} config - Chart configuration
+ * @returns {Object} Chart instance with update, resize, getData and destroy methods
+ */
+export function createBarChart(selector, data, config = {}) {
+    return createChartInstance(selector, data, config, defaultConfig, renderBarChart, {
+        getFrame: getMarginFrame
+    });
+}
+
+/**
+ * Compute where each bar segment starts and ends on the value axis
+ * Stacked layouts pile positive values upwards and negative values downwards from zero
+ * @param {Object} data - Chart data with labels and datasets
+ * @param {String} layout - Series layout: 'grouped', 'stacked' or 'percent'
+ * @param {Function} isHidden - Tells whether a dataset is hidden, hidden datasets take no space
+ * @returns {Array} Segments per dataset and label as { start, end, share }
+ */
+export function layoutBars(data, layout, isHidden) {
+    const segments = data.datasets.map(() => []);
+
+    data.labels.forEach((label, index) => {
+        const values = data.datasets.map((dataset, datasetIndex) => (isHidden(datasetIndex) ? 0 : +dataset.data[index] || 0));
+        const total = d3.sum(values, value => Math.abs(value));
+        let positive = 0;
+        let negative = 0;
+
+        values.forEach((value, datasetIndex) => {
+            const share = total ? value / total : 0;
+
+            if (layout === 'grouped') {
+                segments[datasetIndex][index] = { start: 0, end: value, share };
+                return;
+            }
+
+            // Percent layouts stack each value's share of the label total
+            const amount = layout === 'percent' ? share : value;
+            const start = amount < 0 ? negative : positive;
+
+            if (amount < 0) {
+                negative += amount;
+            } else {
+                positive += amount;
+            }
+
+            segments[datasetIndex][index] = { start, end: start + amount, share };
+        });
+    });
+
+    return segments;
+}
+
+/**
+ * Draw the bar chart into a chart container
+ * @param {Object} container - D3 selection of the chart container
+ * @param {Object} data - Chart data with labels and datasets
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} context - Chart instance context with the unique def ID prefix
+ * @returns {Function} Teardown function
+ */
+function renderBarChart(container, data, settings, context) {
+    const {
+        orientation, layout, barPadding,
+        handDrawnEffect, handDrawnJitter, strokeLinecap, strokeLinejoin,
+        useScribbleFill, fillStyle, seed
+    } = settings;
+
+    // Create SVG, the plot gives up room for the titles and the legend while the chart keeps its size
+    const root = container.append('svg');
+    const { layout: { width, height, margin }, legend: legendLayout } = placeLegend(root, data.datasets, {
+        settings,
+        defaults: defaultConfig.legend,
+        layout: reserveTitleSpace(settings),
+        outer: getTitleSpace(settings)
+    });
+
+    // Random source for the shared hand-drawn parts, reproducible when seeded
+    const random = createRandom(seed);
+    const horizontal = orientation === 'horizontal';
+    const stacked = layout === 'stacked' || layout === 'percent';
+    const segments = layoutBars(data, layout, context.isHidden);
+    const visibleIndices = data.datasets.map((dataset, index) => index).filter(index => !context.isHidden(index));
+
+    // Band scale for the labels and an inner band scale for the series within a label
+    const labelScale = d3.scaleBand()
+        .domain(data.labels)
+        .range(horizontal ? [0, height] : [0, width])
+        .padding(barPadding);
+
+    const seriesScale = d3.scaleBand()
+        .domain(visibleIndices)
+        .range([0, labelScale.bandwidth()])
+        .padding(0.05);
+
+    // Value scale always includes zero so bars grow from the baseline
+    const ends = segments.flat().flatMap(segment => [segment.start, segment.end]);
+    const valueScale = d3.scaleLinear()
+        .domain(layout === 'percent'
+            ? [Math.min(0, d3.min(ends)), Math.max(0, d3.max(ends))]
+            : [Math.min(0, d3.min(ends)) * 1.2, Math.max(0, d3.max(ends)) * 1.2])
+        .range(horizontal ? [0, width] : [height, 0]);
+
+    const x = horizontal ? valueScale : labelScale;
+    const y = horizontal ? labelScale : valueScale;
+
+    const svg = root
+        .attr('width', width + margin.left + margin.right)
+        .attr('height', height + margin.top + margin.bottom)
+        .append('g')
+        .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+    drawTitles(root, settings, {
+        width: width + margin.left + margin.right,
+        height: height + margin.top + margin.bottom,
+        plot: { x: margin.left, y: margin.top, width, height }
+    });
+
+    // Add grid lines and axes with hand-drawn styling
+    drawGrid(svg, x, y, { width, height, settings });
+    drawAxes(svg, x, y, {
+        height,
+        settings,
+        [horizontal ? 'xTickFormat' : 'yTickFormat']: layout === 'percent' ? d3.format('.0%') : null
+    });
+
+    // Create SVG defs for filters and fill patterns
+    const defs = svg.append('defs');
+
+    // Add xkcdify filter if hand-drawn effect is enabled
+    const filterId = `${context.id}-xkcdify`;
+    const filter = handDrawnEffect ? createXkcdFilter(defs, filterId) : null;
+
+    // Generate colors if not provided in data
+    const color = d3.scaleOrdinal(settings.colors);
+    const colors = data.datasets.map((dataset, index) => dataset.color || dataset.lineColor || color(index));
+
+    // Create scribble pattern fills if enabled
+    let fillPatterns = [];
+    if (useScribbleFill) {
+        if (fillStyle === 'oilpaint') {
+            fillPatterns = createOilPaintPatternSet(defs, colors, random, `${context.id}-oil-paint`);
+        } else {
+            fillPatterns = createScribblePatternSet(defs, colors, random, `${context.id}-scribble-pattern`);
+        }
+    }
+
+    const fills = colors.map((c, index) => fillPatterns[index] || c);
+
+    // Draw one bar segment per dataset value
+    visibleIndices.forEach(datasetIndex => {
+        const key = getSeriesKey(data.datasets[datasetIndex], datasetIndex, data.datasets);
+
+        data.labels.forEach((label, index) => {
+            const { start, end } = segments[datasetIndex][index];
+
+            // Stacked segments share the whole band, grouped bars get a slot of it
+            const bandStart = labelScale(label) + (stacked ? 0 : seriesScale(datasetIndex));
+            const bandWidth = stacked ? labelScale.bandwidth() : seriesScale.bandwidth();
+            const valueStart = Math.min(valueScale(start), valueScale(end));
+            const valueLength = Math.abs(valueScale(end) - valueScale(start));
+
+            const bar = horizontal
+                ? { x: valueStart, y: bandStart, width: valueLength, height: bandWidth }
+                : { x: bandStart, y: valueStart, width: bandWidth, height: valueLength };
+
+            // Every bar wobbles on its own so it keeps its look when other bars change
+            const barPath = handDrawnEffect
+                ? createHandDrawnRect(bar.x, bar.y, bar.width, bar.height, handDrawnJitter, createRandom(`${seed}:${key}:${label}`))
+                : `M${bar.x},${bar.y}h${bar.width}v${bar.height}h${-bar.width}Z`;
+
+            svg.append('path')
+                .attr('class', `bar bar-${datasetIndex}`)
+                .attr('data-key', `bar:${key}:${label}`)
+                .attr('data-index', index)
+                .attr('d', barPath)
+                .attr('fill', fills[datasetIndex])
+                .attr('stroke', colors[datasetIndex])
+                .attr('stroke-width', 2)
+                .attr('stroke-linecap', strokeLinecap)
+                .attr('stroke-linejoin', strokeLinejoin)
+                .attr('filter', filter);
+        });
+    });
+
+    // Add the legend, clicking an entry hides or shows its series
+    const legend = drawLegend(svg, legendLayout, fills, {
+        origin: { x: margin.left, y: margin.top },
+        settings,
+        filter,
+        context
+    });
+
+    // Create hover overlay covering each label group
+    const hoverAreas = svg.append('g')
+        .attr('class', 'hover-areas');
+
+    const gap = labelScale.step() - labelScale.bandwidth();
+
+    data.labels.forEach((label, i) => {
+        const start = labelScale(label) - gap / 2;
+
+        hoverAreas.append('rect')
+            .attr('class', 'hover-area')
+            .attr('x', horizontal ? 0 : start)
+            .attr('y', horizontal ? start : 0)
+            .attr('width', horizontal ? width : labelScale.step())
+            .attr('height', horizontal ? labelScale.step() : height)
+            .attr('fill', 'transparent')
+            .attr('data-index', i)
+            .attr('data-label', label);
+    });
+
+    // Sketch the chart in, bars are outlined one label after another and then filled
+    const animation = getEntranceAnimation(settings, context, container.node().ownerDocument);
+    if (animation) {
+        const { duration, ease, stagger } = animation;
+        const step = duration / Math.max(1, data.labels.length);
+
+        sketchAxesIn(svg, animation);
+        sketchLegendIn(legend, animation);
+        hatchPatternsIn(defs, animation, index => index * stagger + duration / 2);
+
+        visibleIndices.forEach((datasetIndex, order) => {
+            const bars = svg.selectAll(`.bar-${datasetIndex}`);
+            const outlineDelay = function () {
+                return order * stagger + parseInt(this.getAttribute('data-index')) * step;
+            };
+
+            drawPathsIn(bars, { duration: step, ease }, outlineDelay);
+            fillIn(bars, { duration: step, ease }, function () {
+                return outlineDelay.call(this) + step;
+            });
+        });
+    }
+
+    // Keep the legend above the hover areas so its entries stay clickable
+    legend.raise();
+
+    // Add hover events to the hover areas
+    const tooltip = bindSeriesTooltip(svg, hoverAreas.selectAll('.hover-area'), {
+        settings,
+        filterId,
+        width,
+        height,
+        getContent(area) {
+            const index = parseInt(d3.select(area).attr('data-index'));
+            const share = d3.format('.0%');
+
+            const items = visibleIndices.map(datasetIndex => {
+                const dataset = data.datasets[datasetIndex];
+
+                return {
+                    color: colors[datasetIndex],
+                    text: layout === 'percent'
+                        ? `${dataset.label}: ${dataset.data[index]} (${share(segments[datasetIndex][index].share)})`
+                        : `${dataset.label}: ${dataset.data[index]}`
+                };
+            });
+
+            // Stacks also show their total
+            if (stacked) {
+                items.push({
+                    color: 'transparent',
+                    text: `Total: ${d3.sum(visibleIndices, datasetIndex => data.datasets[datasetIndex].data[index])}`
+                });
+            }
+
+            return {
+                title: data.labels[index],
+                items
+            };
+        },
+        onShow(area) {
+            const index = d3.select(area).attr('data-index');
+
+            // Highlight the bars of the hovered label
+            svg.selectAll(`.bar[data-index="${index}"]`)
+                .attr('stroke-width', 4);
+        },
+        onHide() {
+            svg.selectAll('.bar')
+                .attr('stroke-width', 2);
+        }
+    });
+
+    // Step through the labels with the keyboard, the tooltip sits in the middle of each group
+    makeChartAccessible(container, {
+        id: context.id,
+        settings,
+        type: 'Bar chart',
+        names: data.datasets.map(dataset => dataset.label),
+        hint: 'Use the arrow keys to move between labels.',
+        navigation: {
+            targets: hoverAreas.selectAll('.hover-area').nodes(),
+            show(area) {
+                const center = labelScale(data.labels[d3.select(area).attr('data-index')]) + labelScale.bandwidth() / 2;
+
+                return tooltip.show(area, {
+                    type: 'auto',
+                    x: horizontal ? width / 2 : center,
+                    y: horizontal ? center : height / 2
+                });
+            },
+            hide: tooltip.hide
+        },
+        getTable: () => ({
+            columns: ['Label', ...data.datasets.map(dataset => dataset.label)],
+            rows: data.labels.map((label, index) => [label, ...data.datasets.map(dataset => dataset.data[index])])
+        })
+    });
+
+    // Return a teardown function to remove tooltip elements before a redraw
+    return tooltip.remove;
+}
@@ -0,0 +1,522 @@
+/**
+ * Shared building blocks for charts drawn on x/y axes
+ * Grid lines, xkcd-style axes and the multi-series
+ * hover tooltip used by the line graph and the bar chart
+ */
+import * as d3 from 'd3';
+import XkcdTooltip from './XkcdTooltip';
+import { addHandDrawnEffect } from './handDrawnUtils';
+import { createRandom } from './random';
+
+// Counter giving every tooltip binding its own event namespace on the document
+let tooltipCount = 0;
+
+// Distance in pixels a finger may be off a small target (a point or the pie's edge) and still hit it
+export const TOUCH_REACH = 8;
+
+/**
+ * Space drawn around the plot area of an axis chart
+ * Used by the chart instance to fit the chart to its container
+ * @param {Object} settings - Resolved chart configuration
+ * @returns {Object} Frame width and height
+ */
+export function getMarginFrame({ margin }) {
+    return {
+        width: margin.left + margin.right,
+        height: margin.top + margin.bottom
+    };
+}
+
+/**
+ * Compute the value axis domain from data and axis options
+ * Each end is padded by a fraction of the data range, except an end resting on zero
+ * @param {Array} values - Data values, missing values are ignored
+ * @param {Object} options - Domain options
+ * @param {Number} options.yMin - Fixed lower bound, computed when null
+ * @param {Number} options.yMax - Fixed upper bound, computed when null
+ * @param {Number} options.yPadding - Fraction of the data range added beyond the data
+ * @param {Boolean} options.beginAtZero - Always include zero in the domain
+ * @returns {Array} Domain as [min, max]
+ */
+export function computeValueDomain(values, { yMin = null, yMax = null, yPadding = 0.2, beginAtZero = true }) {
+    const finiteValues = values.filter(value => value !== null && value !== undefined && isFinite(value));
+    let dataMin = finiteValues.length ? d3.min(finiteValues) : 0;
+    let dataMax = finiteValues.length ? d3.max(finiteValues) : 1;
+
+    if (beginAtZero) {
+        dataMin = Math.min(0, dataMin);
+        dataMax = Math.max(0, dataMax);
+    }
+
+    // A flat series still needs some room around it
+    const span = dataMax - dataMin || Math.abs(dataMax) || 1;
+    const padding = span * yPadding;
+
+    // All-zero data rests on zero at the bottom and gets its room above
+    const min = yMin !== null && yMin !== undefined
+        ? yMin
+        : (dataMin === 0 && beginAtZero ? 0 : dataMin - padding);
+    const max = yMax !== null && yMax !== undefined
+        ? yMax
+        : (dataMax === 0 && dataMin < 0 && beginAtZero ? 0 : dataMax + padding);
+
+    return [min, max];
+}
+
+/**
+ * Stable key of a series or slice, used to match it between redraws
+ * and to give it its own hand-drawn wobble
+ * Fits the signature of an Array#map callback, so keys can be taken with items.map(getSeriesKey)
+ * @param {Object} item - Dataset or slice with an optional label
+ * @param {Number} index - Position of the series or slice
+ * @param {Array} items - All series or slices, used to keep repeated labels apart
+ * @returns {String} Key, the label when it is set and not taken by an earlier item
+ */
+export function getSeriesKey(item, index, items = []) {
+    const hasLabel = item.label !== undefined && item.label !== null && item.label !== '';
+
+    if (!hasLabel) {
+        return `#${index}`;
+    }
+
+    const repeated = items.slice(0, index).some(other => other && `${other.label}` === `${item.label}`);
+    return repeated ? `${item.label}#${index}` : `${item.label}`;
+}
+
+/**
+ * Turn a format option into a formatter function
+ * Strings are d3-format specifiers (e.g. '$,.2f', '.0%' or '.2s'),
+ * or d3-time-format specifiers for time values
+ * @param {Function|String} format - Formatter function or specifier, null for none
+ * @param {Boolean} time - Whether the formatted values are dates
+ * @returns {Function} Formatter function, null when no format is set
+ */
+export function createFormatter(format, time = false) {
+    if (format === null || format === undefined) {
+        return null;
+    }
+
+    if (typeof format === 'function') {
+        return format;
+    }
+
+    return time ? d3.timeFormat(format) : d3.format(format);
+}
+
+/**
+ * Key an axis group and its ticks by value so redraws can move them smoothly
+ * @param {Object} group - D3 selection of a group drawn by a d3 axis
+ * @param {String} prefix - Key prefix naming the axis
+ */
+function keyTicks(group, prefix) {
+    group.attr('data-key', prefix)
+        .selectAll('.tick')
+        .attr('data-key', d => `${prefix}:${tickValueKey(d)}`);
+}
+
+/**
+ * Text key of a tick value
+ * @param {*} value - Tick value, a number, string or date
+ * @returns {String} Key of the value
+ */
+function tickValueKey(value) {
+    return `${value instanceof Date ? value.getTime() : value}`;
+}
+
+/**
+ * Redraw the tick lines of a d3 axis group as hand-drawn strokes
+ * Every tick wobbles with its own random source keyed by its value,
+ * so ticks that stay in place keep their look when the chart is redrawn
+ * @param {Object} group - D3 selection of a group drawn by a d3 axis
+ * @param {String} prefix - Key prefix naming the axis
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Number} jitter - Amount of jitter for the tick lines
+ */
+function sketchTickLines(group, prefix, settings, jitter) {
+    const { seed, strokeLinecap } = settings;
+
+    group.selectAll('.tick').each(function (value) {
+        const tick = d3.select(this);
+        const line = tick.select('line');
+        const x2 = +line.attr('x2') || 0;
+        const y2 = +line.attr('y2') || 0;
+        const random = createRandom(`${seed}:${prefix}:${tickValueKey(value)}`);
+
+        // Long grid lines get more wobble points than short ticks
+        const numPoints = Math.max(3, Math.round(Math.hypot(x2, y2) / 20));
+
+        tick.insert('path', 'line')
+            .attr('class', 'tick-line')
+            .attr('d', addHandDrawnEffect(`M0,0L${x2},${y2}`, jitter, numPoints, random))
+            .attr('fill', 'none')
+            .attr('stroke', line.attr('stroke'))
+            .attr('stroke-linecap', strokeLinecap);
+
+        line.remove();
+    });
+}
+
+/**
+ * Redraw a d3 axis as a hand-drawn axis
+ * The domain line and ticks go through the hand-drawn jitter, tick labels lean and wobble
+ * and the axis can end in an xkcd-style arrowhead
+ * @param {Object} group - D3 selection of a group drawn by a d3 axis
+ * @param {Function} scale - Scale of the axis
+ * @param {Object} options - Axis options
+ * @param {String} options.prefix - Key prefix naming the axis
+ * @param {Boolean} options.horizontal - True for the bottom axis, false for the left axis
+ * @param {Object} options.settings - Resolved chart configuration
+ */
+function sketchAxis(group, scale, { prefix, horizontal, settings }) {
+    const { handDrawnJitter, axisArrows, seed } = settings;
+    const random = createRandom(`${seed}:${prefix}`);
+    const [start, end] = d3.extent(scale.range());
+
+    // The y axis is drawn upwards so both axes end at their arrowhead
+    const axisLine = horizontal ? `M${start},0L${end},0` : `M0,${end}L0,${start}`;
+    const strokes = [addHandDrawnEffect(axisLine, handDrawnJitter, Math.max(3, Math.round((end - start) / 20)), random)];
+
+    // Two short barbs at the far end, drawn away from the tip
+    if (axisArrows) {
+        const barbs = horizontal
+            ? [`M${end},0L${end - 10},-5`, `M${end},0L${end - 10},5`]
+            : [`M0,${start}L-5,${start + 10}`, `M0,${start}L5,${start + 10}`];
+
+        barbs.forEach(barb => strokes.push(addHandDrawnEffect(barb, handDrawnJitter / 2, 4, random)));
+    }
+
+    // Replaces d3's ruler-straight domain and its outer ticks
+    group.select('.domain')
+        .attr('d', strokes.join(''))
+        .style('shape-rendering', 'auto');
+
+    sketchTickLines(group, prefix, settings, handDrawnJitter / 2);
+    group.selectAll('.tick-line').style('shape-rendering', 'auto');
+
+    // Tick labels lean a little and sit slightly off the baseline
+    group.selectAll('.tick text').each(function (value) {
+        const text = d3.select(this);
+        const labelRandom = createRandom(`${seed}:${prefix}-label:${tickValueKey(value)}`);
+        const angle = (labelRandom() - 0.5) * 6;
+        const wobble = (labelRandom() - 0.5) * 2;
+
+        text.attr('transform', `rotate(${angle}, ${+text.attr('x') || 0}, ${+text.attr('y') || 0}) translate(0, ${wobble})`);
+    });
+}
+
+/**
+ * Draw grid lines for both axes, sketched by hand when the hand-drawn effect is on
+ * @param {Object} svg - D3 selection of the plot group
+ * @param {Function} x - X scale
+ * @param {Function} y - Y scale
+ * @param {Object} options - Grid options
+ * @param {Number} options.width - Plot area width
+ * @param {Number} options.height - Plot area height
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {Number} options.yTicks - Approximate number of y grid lines, d3's default when null
+ */
+export function drawGrid(svg, x, y, { width, height, settings, yTicks = null }) {
+    const { gridColor, handDrawnEffect, handDrawnJitter } = settings;
+
+    const gridLinesX = d3.axisBottom(x)
+        .tickSize(-height)
+        .tickFormat('');
+
+    const gridLinesY = d3.axisLeft(y)
+        .ticks(yTicks)
+        .tickSize(-width)
+        .tickFormat('');
+
+    const gridX = svg.append('g')
+        .attr('class', 'grid grid-x')
+        .attr('transform', `translate(0, ${height})`)
+        .call(gridLinesX)
+        .call(keyTicks, 'grid-x');
+
+    const gridY = svg.append('g')
+        .attr('class', 'grid grid-y')
+        .call(gridLinesY)
+        .call(keyTicks, 'grid-y');
+
+    // Sketch the grid lines by hand, the hand-drawn axes stand in for the straight frame
+    if (handDrawnEffect) {
+        sketchTickLines(gridX, 'grid-x', settings, handDrawnJitter / 2);
+        sketchTickLines(gridY, 'grid-y', settings, handDrawnJitter / 2);
+        svg.selectAll('.grid .domain').remove();
+    }
+
+    svg.selectAll('.grid .tick-line, .grid .tick line')
+        .style('stroke', gridColor)
+        .attr('stroke-opacity', 0.5);
+}
+
+/**
+ * Draw the bottom and left axes with hand-drawn styling
+ * @param {Object} svg - D3 selection of the plot group
+ * @param {Function} x - X scale
+ * @param {Function} y - Y scale
+ * @param {Object} options - Axis options
+ * @param {Number} options.height - Plot area height
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {Function} options.xTickFormat - X tick label formatter, scale default when null
+ * @param {Function} options.yTickFormat - Y tick label formatter, scale default when null
+ * @param {Number} options.yTicks - Approximate number of y ticks, d3's default when null
+ */
+export function drawAxes(svg, x, y, { height, settings, xTickFormat = null, yTickFormat = null, yTicks = null }) {
+    const {
+        fontFamily, textColor, axisColor, axisWidth, handDrawnEffect, strokeLinecap, strokeLinejoin
+    } = settings;
+
+    // d3 draws the axis lines in currentColor
+    const xAxis = svg.append('g')
+        .attr('class', 'x axis hand-drawn-axis')
+        .attr('transform', `translate(0, ${height})`)
+        .style('color', axisColor)
+        .call(d3.axisBottom(x).tickFormat(xTickFormat))
+        .call(keyTicks, 'x-axis');
+
+    const yAxis = svg.append('g')
+        .attr('class', 'y axis hand-drawn-axis')
+        .style('color', axisColor)
+        .call(d3.axisLeft(y).ticks(yTicks).tickFormat(yTickFormat))
+        .call(keyTicks, 'y-axis');
+
+    svg.selectAll('.hand-drawn-axis text')
+        .style('font-family', fontFamily)
+        .style('fill', textColor);
+
+    // Redraw the axis lines, ticks and labels by hand
+    if (handDrawnEffect) {
+        sketchAxis(xAxis, x, { prefix: 'x-axis', horizontal: true, settings });
+        sketchAxis(yAxis, y, { prefix: 'y-axis', horizontal: false, settings });
+
+        svg.selectAll('.hand-drawn-axis .domain')
+            .style('stroke-width', axisWidth)
+            .attr('stroke-linecap', strokeLinecap)
+            .attr('stroke-linejoin', strokeLinejoin);
+    }
+}
+
+/**
+ * Draw a hand-drawn horizontal baseline at zero when the value range crosses zero
+ * @param {Object} svg - D3 selection of the plot group
+ * @param {Function} y - Value scale
+ * @param {Object} options - Baseline options
+ * @param {Number} options.width - Plot area width
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {Function} options.random - Random number generator returning values in [0, 1)
+ */
+export function drawZeroBaseline(svg, y, { width, settings, random }) {
+    const [min, max] = y.domain();
+    if (!(Math.min(min, max) < 0 && Math.max(min, max) > 0)) {
+        return;
+    }
+
+    const { axisColor, handDrawnEffect, handDrawnJitter, strokeLinecap } = settings;
+    const zero = y(0);
+    const pathString = `M0,${zero}L${width},${zero}`;
+
+    svg.append('path')
+        .attr('class', 'zero-line')
+        .attr('data-key', 'zero-line')
+        .attr('d', handDrawnEffect ? addHandDrawnEffect(pathString, handDrawnJitter, 50, random) : pathString)
+        .attr('fill', 'none')
+        .style('stroke', axisColor)
+        .attr('stroke-width', 1.5)
+        .attr('stroke-linecap', strokeLinecap);
+}
+
+/**
+ * Check whether a pointer event comes from a finger or a pen rather than a mouse
+ * @param {Object} event - Pointer event
+ * @returns {Boolean} True for touch and pen input
+ */
+export function isTouchPointer(event) {
+    return event.pointerType === 'touch' || event.pointerType === 'pen';
+}
+
+/**
+ * Show a multi-series xkcd tooltip while hovering over target elements
+ * A mouse shows the tooltip on hover. A tap shows and pins it, dragging scrubs
+ * across the targets and tapping anywhere else dismisses it
+ * @param {Object} svg - D3 selection of the plot group
+ * @param {Object} targets - D3 selection of the elements that trigger the tooltip
+ * @param {Object} options - Tooltip options
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {String} options.filterId - ID of the chart's xkcdify filter
+ * @param {Number} options.width - Plot area width for edge detection
+ * @param {Number} options.height - Plot area height for edge detection
+ * @param {Function} options.getContent - Returns { title, items } for the hovered element
+ * @param {Function} options.onShow - Called with the hovered element when the tooltip appears
+ * @param {Function} options.onHide - Called when the pointer leaves a target
+ * @returns {Object} Tooltip controller with show(target, position), hide(target) and remove()
+ */
+export function bindSeriesTooltip(svg, targets, { settings, filterId, width, height, getContent, onShow, onHide }) {
+    const { handDrawnEffect, tooltipBgColor, tooltipBorderColor, tooltipTextColor, fontFamily } = settings;
+
+    const namespace = `.tooltip-${++tooltipCount}`;
+    const doc = svg.node().ownerDocument;
+
+    // Create tooltip instance lazily on first hover
+    let tooltip = null;
+
+    // Target whose tooltip was pinned by a tap
+    let pinned = null;
+
+    // Get the pointer position in plot coordinates
+    function getPosition(event) {
+        const [x, y] = d3.pointer(event, svg.node());
+
+        return { type: 'auto', x, y };
+    }
+
+    // Find the target under a position, kept inside the plot so scrubbing past an edge still works
+    // Rect targets (hover areas) are hit inside their bounds. Round targets (points) carry their
+    // center and radius as data-cx, data-cy and data-r and are hit within reach, the closest wins
+    function findTarget({ x, y }) {
+        const px = Math.max(0, Math.min(width, x));
+        const py = Math.max(0, Math.min(height, y));
+        const nodes = targets.nodes();
+
+        const rect = nodes.find(node => {
+            if (!node.hasAttribute('width')) {
+                return false;
+            }
+
+            const left = +node.getAttribute('x');
+            const top = +node.getAttribute('y');
+
+            return px >= left && px <= left + +node.getAttribute('width')
+                && py >= top && py <= top + +node.getAttribute('height');
+        });
+
+        if (rect) {
+            return rect;
+        }
+
+        const distance = node => Math.hypot(px - +node.getAttribute('data-cx'), py - +node.getAttribute('data-cy'));
+        const reached = nodes.filter(node => node.hasAttribute('data-r')
+            && distance(node) <= +node.getAttribute('data-r') + TOUCH_REACH);
+
+        return d3.least(reached, distance);
+    }
+
+    // Show the tooltip for a target at a position in plot coordinates
+    function show(target, position) {
+        const content = getContent(target);
+        const { title, items } = content;
+
+        if (onShow) {
+            onShow(target);
+        }
+
+        // Create tooltip if it doesn't exist, otherwise update it
+        if (!tooltip) {
+            tooltip = new XkcdTooltip({
+                parent: svg,
+                title,
+                items,
+                position,
+                unxkcdify: !handDrawnEffect,
+                filterId,
+                backgroundColor: tooltipBgColor,
+                strokeColor: tooltipBorderColor,
+                textColor: tooltipTextColor,
+                fontFamily,
+                chartWidth: width,
+                chartHeight: height
+            });
+        } else {
+            tooltip.update({ title, items, position });
+        }
+
+        tooltip.show();
+
+        return content;
+    }
+
+    // Hide the tooltip shown for a target
+    function hide(target) {
+        if (tooltip) {
+            tooltip.hide();
+        }
+
+        if (onHide) {
+            onHide(target);
+        }
+    }
+
+    // Hide the pinned tooltip
+    function unpin() {
+        if (pinned) {
+            hide(pinned);
+            pinned = null;
+        }
+    }
+
+    targets
+        .on('pointerover', function (event) {
+            if (!isTouchPointer(event)) {
+                show(this, getPosition(event));
+            }
+        })
+        .on('pointermove', function (event) {
+            // Update tooltip position to follow mouse
+            if (tooltip && !isTouchPointer(event)) {
+                tooltip.update({ position: getPosition(event) });
+            }
+        })
+        .on('pointerout', function (event) {
+            if (!isTouchPointer(event)) {
+                hide(this);
+            }
+        })
+        .on('pointerdown', function (event) {
+            // A tap shows the tooltip and keeps it open
+            if (isTouchPointer(event)) {
+                if (pinned !== this) {
+                    unpin();
+                }
+
+                pinned = this;
+                show(this, getPosition(event));
+            }
+        });
+
+    // Dragging a finger moves the pinned tooltip along the targets
+    svg.on(`pointermove${namespace}`, event => {
+        if (!pinned || !isTouchPointer(event)) {
+            return;
+        }
+
+        const position = getPosition(event);
+        const target = findTarget(position) || pinned;
+
+        if (target !== pinned) {
+            hide(pinned);
+            pinned = target;
+        }
+
+        show(pinned, position);
+    });
+
+    // Tapping anywhere else dismisses the pinned tooltip
+    d3.select(doc).on(`pointerdown${namespace}`, event => {
+        if (pinned && !targets.nodes().includes(event.target)) {
+            unpin();
+        }
+    });
+
+    return {
+        show,
+        hide,
+        remove() {
+            d3.select(doc).on(`pointerdown${namespace}`, null);
+
+            if (tooltip) {
+                tooltip.svg.remove();
+                tooltip = null;
+            }
+        }
+    };
+}
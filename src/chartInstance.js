@@ -0,0 +1,427 @@
+/**
+ * Chart instance lifecycle shared by every chart type
+ * Owns the chart container, re-renders it on update/resize
+ * and removes everything the chart created on destroy
+ */
+import * as d3 from 'd3';
+import { injectStyles } from './chartStyles';
+import { serializeChartSvg, svgToPng, downloadBlob } from './exportChart';
+import { getUpdateTransition, transitionChanges } from './animation';
+import { getThemeSettings, applyCssVariables } from './themes';
+import { getSeriesKey } from './chartComponents';
+import { resolveLegendOptions } from './legend';
+
+// Property used to remember the chart attached to a host element
+const INSTANCE_KEY = '__handwrittenChart';
+
+// Counter used to give every chart instance a unique ID prefix
+let instanceCount = 0;
+
+// Set while charts are drawn that never share a page, they use a configured id as given
+let exactIds = false;
+
+/**
+ * Pick the ID prefix of a chart instance
+ * Charts on a page always get a numbered prefix so their IDs never clash,
+ * a configured id only replaces the 'handwritten-graph' part
+ * @param {Object} config - User chart configuration
+ * @returns {String} Prefix for the IDs of the chart's SVG elements
+ */
+function getInstanceId({ id }) {
+    const hasId = id !== undefined && id !== null && id !== '';
+    const base = hasId && exactIds
+        ? String(id)
+        : `${hasId ? id : 'handwritten-graph'}-${++instanceCount}`;
+
+    // IDs end up in url(#...) references, keep them to characters that need no escaping
+    return base.replace(/[^\w-]/g, '-');
+}
+
+/**
+ * Create charts that use their configured id as given, so their markup is reproducible
+ * Only for charts that do not share a page with others, like the ones renderToString draws
+ * @param {Function} create - Creates the charts
+ * @returns {*} Whatever create returns
+ */
+export function withExactIds(create) {
+    exactIds = true;
+
+    try {
+        return create();
+    } finally {
+        exactIds = false;
+    }
+}
+
+/**
+ * Create a chart instance bound to a host element
+ * Any chart already attached to the same host is destroyed first
+ * @param {String} selector - CSS selector for container element
+ * @param {*} data - Chart data
+ * @param {Object} config - User chart configuration
+ * @param {Object} defaultConfig - Default configuration of the chart type
+ * @param {Function} render - Draws the chart into a container, may return a teardown function.
+ * Called with (container, data, settings, context) where context.id is the instance's
+ * prefix for SVG def IDs, context.isHidden(index) tells whether a series is hidden,
+ * context.toggleVisibility(index) shows or hides it and context.firstDraw is true only
+ * while the chart is drawn for the first time
+ * @param {Object} options - Chart type options
+ * @param {Function} options.getFrame - Returns the { width, height } drawn around the
+ * configured width and height (e.g. margins), used when sizing to the container
+ * @returns {Object} Chart instance with update, resize, getData, visibility, export and destroy methods
+ */
+export function createChartInstance(selector, data, config, defaultConfig, render, options = {}) {
+    const { getFrame = () => ({ width: 0, height: 0 }) } = options;
+    const host = d3.select(selector);
+    const hostNode = host.node();
+
+    if (!hostNode) {
+        throw new Error(`Handwritten graph: no element matches selector "${selector}"`);
+    }
+
+    // Fail on an unknown theme or legend position before anything is added to the page
+    getThemeSettings(config.theme !== undefined ? config.theme : defaultConfig.theme);
+    resolveLegendOptions(config.legend !== undefined ? config.legend : defaultConfig.legend, defaultConfig.legend);
+
+    // Replace the previous chart instead of appending a second one
+    if (hostNode[INSTANCE_KEY]) {
+        hostNode[INSTANCE_KEY].destroy();
+    }
+
+    // Make sure the library styles are available in the host's document
+    injectStyles(hostNode.ownerDocument);
+
+    // Window of the host's document, which may not be the global one (iframes, jsdom)
+    const view = hostNode.ownerDocument.defaultView;
+
+    // Create container div with scoped class
+    const container = host
+        .append('div')
+        .attr('class', 'handwritten-graph-container');
+
+    // Seed used when none is configured so redraws keep the same wobble
+    const instanceSeed = Math.floor(Math.random() * 4294967296);
+
+    let currentData = data;
+    let currentConfig = { ...config };
+    let teardown = null;
+    let stopObserving = null;
+    let pendingFrame = null;
+    let drawnSize = null;
+
+    // Keys of the series or slices hidden through the legend, so a series stays hidden
+    // when an update reorders the data
+    const hidden = new Set();
+
+    // Shared with the render function: def ID namespace, series visibility and draw state
+    const context = {
+        id: getInstanceId(config),
+        firstDraw: true,
+        isHidden: index => hidden.has(getEntryKey(index)),
+        toggleVisibility(index) {
+            instance.setVisibility(index, context.isHidden(index));
+        }
+    };
+
+    // Series or slices the legend lists
+    function getEntries() {
+        if (Array.isArray(currentData)) {
+            return currentData;
+        }
+
+        return currentData && currentData.datasets ? currentData.datasets : [];
+    }
+
+    // Key of the series or slice at an index, null when there is none
+    function getEntryKey(index) {
+        const entries = getEntries();
+        return entries[index] ? getSeriesKey(entries[index], index, entries) : null;
+    }
+
+    // Forget hidden series or slices the data no longer has
+    function pruneHidden() {
+        const keys = new Set(getEntries().map(getSeriesKey));
+        hidden.forEach(key => {
+            if (!keys.has(key)) {
+                hidden.delete(key);
+            }
+        });
+    }
+
+    // Merge the theme and configuration and fill in the seed
+    function mergeSettings() {
+        const theme = currentConfig.theme !== undefined ? currentConfig.theme : defaultConfig.theme;
+        const settings = { ...defaultConfig, ...getThemeSettings(theme), ...currentConfig };
+
+        if (settings.seed === null || settings.seed === undefined) {
+            settings.seed = instanceSeed;
+        }
+
+        return settings;
+    }
+
+    // Merged settings with the measured size filled in
+    function resolveSettings() {
+        const settings = mergeSettings();
+
+        if (settings.responsive) {
+            Object.assign(settings, measure(settings));
+        }
+
+        return settings;
+    }
+
+    // Compute width and height that make the chart fill the host element
+    function measure(settings) {
+        const style = view.getComputedStyle(hostNode);
+        const outerWidth = hostNode.clientWidth
+            - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+        const innerHeight = hostNode.clientHeight
+            - parseFloat(style.paddingTop || 0) - parseFloat(style.paddingBottom || 0);
+
+        // Host is hidden or not laid out yet, keep the configured size
+        if (!(outerWidth > 0)) {
+            return {};
+        }
+
+        const frame = getFrame(settings);
+        const aspectRatio = (settings.width + frame.width) / (settings.height + frame.height);
+        const outerHeight = settings.maintainAspectRatio || !(innerHeight > 0)
+            ? outerWidth / aspectRatio
+            : innerHeight;
+
+        return {
+            width: Math.max(1, Math.floor(outerWidth - frame.width)),
+            height: Math.max(1, Math.floor(outerHeight - frame.height))
+        };
+    }
+
+    // Clear the container and draw the chart with the current state
+    // Data and visibility changes transition from the previous drawing
+    function draw(animateChanges = false) {
+        if (teardown) {
+            teardown();
+            teardown = null;
+        }
+
+        const settings = resolveSettings();
+        // Detach the previous drawing whole, the transition reads its elements
+        const previousSvg = container.select('svg').remove().node();
+        context.firstDraw = drawnSize === null;
+        drawnSize = { width: settings.width, height: settings.height };
+
+        container
+            .classed('handwritten-graph-responsive', !!settings.responsive)
+            .selectAll('*').remove();
+        // Themed colours and fonts are drawn as CSS custom properties with the theme as fallback
+        const themedSettings = applyCssVariables(settings);
+        teardown = render(container, currentData, themedSettings, context) || null;
+        drawBackground(themedSettings.backgroundColor);
+
+        const transition = animateChanges && previousSvg
+            ? getUpdateTransition(settings, hostNode.ownerDocument)
+            : null;
+
+        if (transition) {
+            transitionChanges(previousSvg, container.select('svg').node(), transition);
+        }
+
+        syncObserver(settings.responsive);
+    }
+
+    // Fill the chart behind everything it drew, page CSS can set a background for any theme
+    function drawBackground(fill) {
+        container.select('svg')
+            .insert('rect', 'g')
+            .attr('class', 'chart-background')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .style('fill', fill)
+            .style('pointer-events', 'none');
+    }
+
+    // Redraw on the next frame if the measured size changed
+    function scheduleResize() {
+        if (pendingFrame !== null) {
+            return;
+        }
+
+        pendingFrame = view.requestAnimationFrame(() => {
+            pendingFrame = null;
+            const size = measure(mergeSettings());
+
+            if (size.width !== undefined && (size.width !== drawnSize.width || size.height !== drawnSize.height)) {
+                draw();
+            }
+        });
+    }
+
+    // Start or stop following the host size
+    function syncObserver(responsive) {
+        if (responsive && !stopObserving) {
+            if (typeof view.ResizeObserver !== 'undefined') {
+                const observer = new view.ResizeObserver(scheduleResize);
+                observer.observe(hostNode);
+                stopObserving = () => observer.disconnect();
+            } else {
+                view.addEventListener('resize', scheduleResize);
+                stopObserving = () => view.removeEventListener('resize', scheduleResize);
+            }
+        } else if (!responsive && stopObserving) {
+            stopObserving();
+            stopObserving = null;
+        }
+    }
+
+    const instance = {
+        /**
+         * Replace the chart data and optionally merge new configuration
+         * The chart transitions to the new data unless animateUpdates is off
+         * @param {*} newData - New chart data
+         * @param {Object} newConfig - Configuration overrides
+         * @returns {Object} The chart instance
+         */
+        update(newData, newConfig = {}) {
+            currentData = newData;
+            currentConfig = { ...currentConfig, ...newConfig };
+            pruneHidden();
+            draw(true);
+            return instance;
+        },
+
+        /**
+         * Redraw the chart with new dimensions
+         * Without arguments the chart is redrawn at its current or measured size
+         * @param {Number} width - New chart width
+         * @param {Number} height - New chart height
+         * @returns {Object} The chart instance
+         */
+        resize(width, height) {
+            if (width !== undefined && height !== undefined) {
+                currentConfig = { ...currentConfig, width, height };
+            }
+
+            draw();
+            return instance;
+        },
+
+        /**
+         * Get the data currently drawn by the chart
+         * @returns {*} Chart data
+         */
+        getData() {
+            return currentData;
+        },
+
+        /**
+         * Get which series (or pie slices) are shown
+         * @returns {Array} One boolean per series or slice, false when hidden
+         */
+        getVisibility() {
+            return getEntries().map(getSeriesKey).map(key => !hidden.has(key));
+        },
+
+        /**
+         * Show or hide series (or pie slices) and redraw the chart
+         * Series are remembered by label, so they keep their visibility when the data is updated
+         * @param {Number|Array} index - Series index, or one boolean per series
+         * @param {Boolean} visible - Whether the series is shown, when an index is given
+         * @returns {Object} The chart instance
+         */
+        setVisibility(index, visible) {
+            if (Array.isArray(index)) {
+                hidden.clear();
+                index.forEach((shown, i) => {
+                    const key = getEntryKey(i);
+                    if (!shown && key !== null) {
+                        hidden.add(key);
+                    }
+                });
+            } else if (visible) {
+                hidden.delete(getEntryKey(index));
+            } else if (getEntryKey(index) !== null) {
+                hidden.add(getEntryKey(index));
+            }
+
+            draw(true);
+            return instance;
+        },
+
+        /**
+         * Export the chart as a standalone SVG document
+         * The handwriting font, styles, filters and fill patterns are embedded
+         * @returns {String} SVG markup
+         */
+        toSVG() {
+            return serializeChartSvg(container.select('svg').node());
+        },
+
+        /**
+         * Export the chart as a PNG image
+         * @param {Object} options - PNG options
+         * @param {Number} options.scale - Pixel density multiplier (default 2)
+         * @param {String} options.background - Background color, transparent when not set
+         * @returns {Promise<Blob>} PNG image
+         */
+        toPNG({ scale = 2, background = null } = {}) {
+            const svgNode = container.select('svg').node();
+
+            return svgToPng(instance.toSVG(), {
+                width: +svgNode.getAttribute('width'),
+                height: +svgNode.getAttribute('height'),
+                scale,
+                background,
+                doc: hostNode.ownerDocument
+            });
+        },
+
+        /**
+         * Download the chart as a file
+         * A name ending in .png downloads a PNG image, anything else an SVG file
+         * @param {String} filename - File name (default 'chart.svg')
+         * @param {Object} options - PNG options passed to toPNG
+         * @returns {Promise} Resolves once the download has been started
+         */
+        download(filename = 'chart.svg', options = {}) {
+            const doc = hostNode.ownerDocument;
+
+            if (/\.png$/i.test(filename)) {
+                return instance.toPNG(options).then(blob => downloadBlob(blob, filename, doc));
+            }
+
+            const name = /\.svg$/i.test(filename) ? filename : `${filename}.svg`;
+            const blob = new doc.defaultView.Blob([instance.toSVG()], { type: 'image/svg+xml;charset=utf-8' });
+            downloadBlob(blob, name, doc);
+
+            return Promise.resolve();
+        },
+
+        /**
+         * Remove the chart and everything it created from the page
+         */
+        destroy() {
+            if (teardown) {
+                teardown();
+                teardown = null;
+            }
+
+            syncObserver(false);
+
+            if (pendingFrame !== null) {
+                view.cancelAnimationFrame(pendingFrame);
+                pendingFrame = null;
+            }
+
+            container.remove();
+
+            if (hostNode[INSTANCE_KEY] === instance) {
+                delete hostNode[INSTANCE_KEY];
+            }
+        }
+    };
+
+    hostNode[INSTANCE_KEY] = instance;
+    draw();
+
+    return instance;
+}
@@ -0,0 +1,32 @@
+/**
+ * Library stylesheet handling
+ * The compiled stylesheet is kept as a string so it can be added to any document
+ * when a chart is created, or embedded into standalone SVG output
+ */
+import styles from './styles/graph.scss';
+import fontData from './assets/Humor-Sans.ttf';
+
+// ID of the style element added to a document
+const STYLE_ELEMENT_ID = 'handwritten-graph-styles';
+
+/**
+ * Library CSS, including the handwriting font as a data URI
+ * @type {String}
+ */
+export const chartStyles = `@font-face{font-family:"xkcd";src:url(${fontData}) format("truetype")}${styles}`;
+
+/**
+ * Add the library stylesheet to a document once
+ * Does nothing outside the browser or when the document has no head
+ * @param {Object} doc - Document to add the styles to
+ */
+export function injectStyles(doc) {
+    if (!doc || !doc.head || doc.getElementById(STYLE_ELEMENT_ID)) {
+        return;
+    }
+
+    const style = doc.createElement('style');
+    style.id = STYLE_ELEMENT_ID;
+    style.textContent = chartStyles;
+    doc.head.appendChild(style);
+}
@@ -0,0 +1,181 @@
+/**
+ * Chart export helpers
+ * Turn a chart into standalone SVG markup, PNG images and file downloads
+ */
+import { chartStyles } from './chartStyles';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Replace the var() references in CSS text with the values they stand for
+ * @param {String} text - CSS text that may hold var(--name, fallback) references
+ * @param {Function} lookup - Returns the value of a custom property, empty when it is not set
+ * @returns {String} CSS text without var() references
+ */
+function resolveCssVariables(text, lookup) {
+    let resolved = '';
+    let rest = text;
+    let start = rest.indexOf('var(');
+
+    while (start !== -1) {
+        // Find the closing parenthesis and the comma before the fallback, skipping nested functions
+        let depth = 0;
+        let comma = -1;
+        let end = -1;
+
+        for (let i = start + 4; i < rest.length && end === -1; i++) {
+            if (rest[i] === '(') {
+                depth++;
+            } else if (rest[i] === ')') {
+                end = depth === 0 ? i : -1;
+                depth--;
+            } else if (rest[i] === ',' && depth === 0 && comma === -1) {
+                comma = i;
+            }
+        }
+
+        if (end === -1) {
+            break;
+        }
+
+        const name = rest.slice(start + 4, comma === -1 ? end : comma).trim();
+        const fallback = comma === -1 ? '' : rest.slice(comma + 1, end).trim();
+
+        resolved += rest.slice(0, start) + (lookup(name) || resolveCssVariables(fallback, lookup));
+        rest = rest.slice(end + 1);
+        start = rest.indexOf('var(');
+    }
+
+    return resolved + rest;
+}
+
+/**
+ * Serialize a chart SVG element to a standalone SVG string
+ * A copy is made so the chart on the page is left untouched. Themed values drawn as
+ * CSS custom properties are resolved, since the output is used without the page's CSS
+ * @param {Object} svgNode - Chart SVG element
+ * @returns {String} SVG markup with the library styles and font embedded
+ */
+export function serializeChartSvg(svgNode) {
+    const doc = svgNode.ownerDocument;
+    const view = doc.defaultView;
+    const svg = svgNode.cloneNode(true);
+    const width = svg.getAttribute('width');
+    const height = svg.getAttribute('height');
+
+    // Custom properties take the value computed on the live chart, so page CSS that sets
+    // them is kept. A chart that is not on a page (e.g. drawn headless) uses the fallbacks
+    const canCompute = !!(view && view.getComputedStyle && svgNode.isConnected);
+    const lookupOn = node => {
+        let computed = null;
+
+        return name => {
+            if (!canCompute) {
+                return '';
+            }
+
+            computed = computed || view.getComputedStyle(node);
+            return computed.getPropertyValue(name).trim();
+        };
+    };
+
+    // The copy has the same structure as the chart, so its elements line up with the live ones
+    const liveNodes = [svgNode, ...svgNode.querySelectorAll('*')];
+    [svg, ...svg.querySelectorAll('*')].forEach((node, i) => {
+        Array.from(node.attributes).forEach(({ name, value }) => {
+            if (value.includes('var(')) {
+                node.setAttribute(name, resolveCssVariables(value, lookupOn(liveNodes[i])));
+            }
+        });
+    });
+
+    svg.setAttributeNS(XMLNS_NS, 'xmlns', SVG_NS);
+    svg.setAttribute('class', 'handwritten-graph-standalone');
+
+    if (width && height && !svg.hasAttribute('viewBox')) {
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+
+    // Tooltips only make sense on the live chart
+    svg.querySelectorAll('.xkcd-tooltip').forEach(node => node.remove());
+
+    // Embed the library styles so the output does not depend on page CSS
+    const style = doc.createElementNS(SVG_NS, 'style');
+    style.textContent = resolveCssVariables(chartStyles, lookupOn(svgNode));
+    svg.insertBefore(style, svg.firstChild);
+
+    if (view && view.XMLSerializer) {
+        return new view.XMLSerializer().serializeToString(svg);
+    }
+
+    return svg.outerHTML;
+}
+
+/**
+ * Rasterize SVG markup to a PNG image
+ * @param {String} svgMarkup - Standalone SVG markup
+ * @param {Object} options - PNG options
+ * @param {Number} options.width - Image width in CSS pixels
+ * @param {Number} options.height - Image height in CSS pixels
+ * @param {Number} options.scale - Pixel density multiplier
+ * @param {String} options.background - Background color, transparent when not set
+ * @param {Object} options.doc - Document used to create the image and canvas
+ * @returns {Promise<Blob>} PNG image
+ */
+export function svgToPng(svgMarkup, { width, height, scale = 2, background = null, doc = document }) {
+    const view = doc.defaultView;
+
+    return new Promise((resolve, reject) => {
+        const image = new view.Image();
+        const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgMarkup)}`;
+
+        image.onload = () => {
+            const canvas = doc.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+
+            if (background) {
+                context.fillStyle = background;
+                context.fillRect(0, 0, width, height);
+            }
+
+            context.drawImage(image, 0, 0, width, height);
+
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Handwritten graph: the chart could not be converted to PNG'));
+                }
+            }, 'image/png');
+        };
+
+        image.onerror = () => reject(new Error('Handwritten graph: the chart SVG could not be loaded as an image'));
+        image.src = url;
+    });
+}
+
+/**
+ * Save a blob as a file through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {String} filename - Suggested file name
+ * @param {Object} doc - Document to create the link in
+ */
+export function downloadBlob(blob, filename, doc = document) {
+    const url = doc.defaultView.URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    doc.body.appendChild(link);
+    link.click();
+    doc.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => doc.defaultView.URL.revokeObjectURL(url), 0);
+}
@@ -4,31 +4,72 @@
  * and multi-series tooltips that appear when hovering over X-axis points
  */
 import * as d3 from 'd3';
-import './styles/graph.scss';
-import XkcdTooltip from './XkcdTooltip';
-import { addHandDrawnEffect, createXkcdFilter } from './handDrawnUtils';
+import {
+  addHandDrawnEffect, createHandDrawnPoints, handDrawnPointsToPath, createXkcdFilter
+} from './handDrawnUtils';
+import { createScribblePatternSet, createOilPaintPatternSet } from './scribbleFills';
+import {
+  drawGrid, drawAxes, drawZeroBaseline, bindSeriesTooltip,
+  computeValueDomain, getMarginFrame, getSeriesKey, createFormatter
+} from './chartComponents';
+import { createChartInstance } from './chartInstance';
+import { createRandom } from './random';
+import { makeChartAccessible } from './accessibility';
+import { getTitleSpace, reserveTitleSpace, drawTitles } from './titles';
+import { placeLegend, drawLegend } from './legend';
+import { drawAnnotations } from './annotations';
+import {
+  getEntranceAnimation, drawPathsIn, popIn, fadeIn, sketchAxesIn, sketchLegendIn, hatchPatternsIn, timeToReach
+} from './animation';
 
 // Default configuration
 const defaultConfig = {
   width: 960,
   height: 500,
   margin: { top: 10, right: 10, bottom: 40, left: 50 },
-  lineColor: 'steelblue', // Default line color
+  responsive: false, // Follow the container width and re-layout when it resizes
+  maintainAspectRatio: true, // Keep the width/height ratio in responsive mode, otherwise fill the container height
+  theme: 'classic', // Theme preset name, or a theme object overriding a preset (see themes.js)
+  title: null, // Chart title, the plot shrinks to make room for it
+  subtitle: null, // Smaller line of text under the title
+  titleUnderline: false, // Underline the title with a hand-drawn stroke
+  xAxisLabel: null, // Title under the x axis
+  yAxisLabel: null, // Title along the y axis
+  xType: 'category', // X axis type: 'category', 'time' or 'linear'
+  spanGaps: false, // Bridge missing values with a dashed connector instead of leaving a gap
+  stacked: false, // Stack series on top of each other, filling the area between them
+  yMin: null, // Fixed lower bound of the y axis, computed from the data when null
+  yMax: null, // Fixed upper bound of the y axis, computed from the data when null
+  yPadding: 0.2, // Fraction of the data range added above and below the data
+  beginAtZero: true, // Always include zero on the y axis
+  yTicks: null, // Approximate number of y axis ticks, d3's default when null
+  yTickFormat: null, // Y tick label formatter, or a d3-format specifier such as '$,.0f'
+  xTickFormat: null, // X tick label formatter, or a d3-format (d3-time-format on time axes) specifier
+  valueFormat: null, // Tooltip value formatter or d3-format specifier, values are shown as they are when null
   pointRadius: 4,
-  fontFamily: 'xkcd', // Default font family
-  gridColor: '#e0e0e0', // Light grid lines
   handDrawnEffect: true, // Toggle for hand-drawn effect
   handDrawnPoints: 100, // Number of points to sample for hand-drawn effect
   handDrawnJitter: 2, // Amount of jitter for hand-drawn effect
+  axisArrows: false, // End the hand-drawn axes in xkcd-style arrowheads
+  seed: null, // Seed for reproducible hand-drawn jitter (random when not set)
+  id: null, // Prefix for the chart's SVG element IDs, numbered to keep them unique
   strokeLinecap: 'round', // Rounded line caps for hand-drawn effect
   strokeLinejoin: 'round', // Rounded line joins for hand-drawn effect
-  tooltipBgColor: '#fff', // Tooltip background color
-  tooltipTextColor: '#333', // Tooltip text color
-  tooltipBorderColor: '#333', // Tooltip border color
   tooltipBorderWidth: 2, // Tooltip border width
   tooltipBorderRadius: 5, // Tooltip border radius
   tooltipOpacity: 0.9, // Tooltip background opacity
-  legendBorder: false // Whether to show border around legend
+  legend: { position: 'inside-top-right' }, // Legend position, flow and columns, or false for none (see legend.js)
+  legendBorder: false, // Whether to show border around legend
+  ariaLabel: null, // Accessible name of the chart, lists the series when not set
+  ariaDescription: null, // Accessible description, explains the keyboard navigation when not set
+  dataTable: false, // Add a visually hidden table with the data for screen readers
+  animate: false, // Sketch the chart in when it is first drawn
+  animationDuration: 1000, // Time the pen takes to draw a series, in milliseconds
+  animationEasing: 'easeCubicInOut', // Name of a d3 easing function, or an easing function
+  animationStagger: 150, // Delay between series starting to draw, in milliseconds
+  animateUpdates: true, // Morph the chart to new data instead of redrawing it at once
+  transitionDuration: 500, // Duration of the update transition in milliseconds
+  annotations: [] // Handwritten notes with arrows: { text, label, dataset } or { text, x, y }, plus dx, dy, id and color
 };
 
 /**
@@ -36,324 +77,605 @@ const defaultConfig = {
  * @param {String} selector - CSS selector for container element
  * @param {Object} data - Chart data with labels and datasets
  * @param {Object} config - Chart configuration
- * @returns {Function} Cleanup function
+ * @returns {Object} Chart instance with update, resize, getData and destroy methods
  */
 export function createGraph(selector, data, config = {}) {
-  const settings = { ...defaultConfig, ...config };
+  return createChartInstance(selector, data, config, defaultConfig, renderGraph, {
+    getFrame: getMarginFrame
+  });
+}
+
+/**
+ * Parse a raw x value for the configured x axis type
+ * @param {*} value - Label, Date, timestamp, date string or number
+ * @param {String} xType - X axis type: 'category', 'time' or 'linear'
+ * @returns {*} Date for time axes, number for linear axes, the value itself otherwise
+ */
+function parseX(value, xType) {
+  if (xType === 'time') {
+    return value instanceof Date ? value : new Date(value);
+  }
+
+  return xType === 'linear' ? +value : value;
+}
+
+/**
+ * Key identifying an x position, so points of different series can be matched
+ * @param {*} value - Parsed x value
+ * @returns {*} Comparable key
+ */
+function xKey(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Normalize datasets to arrays of {x, y} points
+ * Datasets can list plain values matching data.labels or {x, y} points
+ * @param {Object} data - Chart data with labels and datasets
+ * @param {String} xType - X axis type: 'category', 'time' or 'linear'
+ * @returns {Array} Points per dataset, sorted by x for time and linear axes
+ */
+function getSeriesPoints(data, xType) {
+  return data.datasets.map(dataset => {
+    const points = dataset.data.map((d, i) => {
+      const isPoint = d !== null && typeof d === 'object' && 'y' in d;
+
+      return {
+        x: parseX(isPoint ? d.x : data.labels[i], xType),
+        y: isPoint ? d.y : d
+      };
+    });
+
+    return xType === 'category' ? points : points.sort((a, b) => xKey(a.x) - xKey(b.x));
+  });
+}
+
+/**
+ * Check whether a y value is missing and should leave a gap
+ * @param {*} value - Y value
+ * @returns {Boolean} True for null, undefined and non-numeric values
+ */
+function isMissing(value) {
+  return value === null || value === undefined || !isFinite(value);
+}
+
+/**
+ * Split points into runs of consecutive points that have a value
+ * @param {Array} points - Series points
+ * @returns {Array} Runs of points, each drawn as its own line
+ */
+export function splitRuns(points) {
+  const runs = [];
+  let run = [];
+
+  points.forEach(point => {
+    if (isMissing(point.y)) {
+      if (run.length) {
+        runs.push(run);
+      }
+      run = [];
+    } else {
+      run.push(point);
+    }
+  });
+
+  if (run.length) {
+    runs.push(run);
+  }
+
+  return runs;
+}
+
+/**
+ * Add the drawn top and the base of every point
+ * Stacked series start where the series below them end at the same x position
+ * @param {Array} seriesPoints - Points per dataset
+ * @param {Boolean} stacked - Whether series are stacked
+ */
+export function stackSeries(seriesPoints, stacked) {
+  const totals = new Map();
+
+  seriesPoints.forEach(points => {
+    points.forEach(point => {
+      const key = xKey(point.x);
+      const base = stacked ? (totals.get(key) || 0) : 0;
+
+      point.base = base;
+      point.top = isMissing(point.y) ? point.y : base + point.y;
+
+      if (stacked && !isMissing(point.y)) {
+        totals.set(key, point.top);
+      }
+    });
+  });
+}
+
+/**
+ * Format an x value as a tooltip title
+ * @param {*} value - Parsed x value
+ * @param {String} xType - X axis type: 'category', 'time' or 'linear'
+ * @returns {String} Title text
+ */
+function formatXTitle(value, xType) {
+  if (xType === 'time') {
+    const atMidnight = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0;
+    return d3.timeFormat(atMidnight ? '%b %d, %Y' : '%b %d, %Y %H:%M')(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Draw the line graph into a chart container
+ * @param {Object} container - D3 selection of the chart container
+ * @param {Object} data - Chart data with labels and datasets
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} context - Chart instance context with the unique def ID prefix
+ * @returns {Function} Teardown function
+ */
+function renderGraph(container, data, settings, context) {
   const {
-    width, height, margin, pointRadius, fontFamily, gridColor,
+    pointRadius, xType, spanGaps, stacked, fillStyle, lineWidth, textColor, hoverLineColor, yTicks,
     handDrawnEffect, handDrawnPoints, handDrawnJitter,
-    strokeLinecap, strokeLinejoin, tooltipBgColor, tooltipTextColor,
-    tooltipBorderColor, tooltipBorderWidth, tooltipBorderRadius,
-    tooltipOpacity, legendBorder, lineColor
+    strokeLinecap, strokeLinejoin, seed
   } = settings;
 
-  const x = d3.scalePoint()
-    .domain(data.labels)
-    .range([0, width])
-    .padding(0.1);
+  // Create SVG, the plot gives up room for the titles and the legend while the chart keeps its size
+  const root = container.append('svg');
+  const { layout: { width, height, margin }, legend: legendLayout } = placeLegend(root, data.datasets, {
+    settings,
+    defaults: defaultConfig.legend,
+    layout: reserveTitleSpace(settings),
+    outer: getTitleSpace(settings)
+  });
+
+  // Random source for the shared hand-drawn parts, reproducible when seeded
+  const random = createRandom(seed);
+
+  // Hidden series keep the x axis in place but leave the y axis to the rest
+  const allSeriesPoints = getSeriesPoints(data, xType);
+  const seriesPoints = allSeriesPoints.map((points, index) => (context.isHidden(index) ? [] : points));
+  const allPoints = seriesPoints.flat();
+  stackSeries(seriesPoints, stacked);
+
+  let x;
+  if (xType === 'time') {
+    x = d3.scaleTime()
+      .domain(d3.extent(allSeriesPoints.flat(), p => p.x));
+  } else if (xType === 'linear') {
+    x = d3.scaleLinear()
+      .domain(d3.extent(allSeriesPoints.flat(), p => p.x));
+  } else {
+    x = d3.scalePoint()
+      .domain(data.labels || allSeriesPoints.flat().map(p => p.x))
+      .padding(0.1);
+  }
+  x.range([0, width]);
 
   const y = d3.scaleLinear()
-    .domain([0, d3.max(data.datasets.flatMap(dataset => dataset.data)) * 1.2])
+    .domain(computeValueDomain(allPoints.map(p => p.top), settings))
     .range([height, 0]);
 
-    // Create SVG
-  const container = d3.select(selector)
-    .append('div')
-    .attr('class', 'handwritten-graph-container');
-    
-  const svg = container
-    .append('svg')
+  // Unstacked areas are filled down to zero, or to the edge of the plot when zero is out of view
+  const [yLow, yHigh] = d3.extent(y.domain());
+  const baselineY = y(Math.max(yLow, Math.min(yHigh, 0)));
+
+  // Unique x positions across all series, each one gets a hover slot
+  const slots = Array.from(d3.group(allPoints, p => xKey(p.x)).values(), points => ({
+    x: points[0].x,
+    position: x(points[0].x)
+  })).sort((a, b) => a.position - b.position);
+  const slotIndex = new Map(slots.map((slot, i) => [xKey(slot.x), i]));
+
+  const svg = root
     .attr('width', width + margin.left + margin.right)
     .attr('height', height + margin.top + margin.bottom)
     .append('g')
     .attr('transform', `translate(${margin.left}, ${margin.top})`);
 
-  // Add grid lines with slightly wavy lines for hand-drawn effect
-  const gridLinesX = d3.axisBottom(x)
-    .tickSize(-height)
-    .tickFormat("");
-
-  const gridLinesY = d3.axisLeft(y)
-    .tickSize(-width)
-    .tickFormat("");
-
-  svg.append("g")
-    .attr("class", "grid grid-x")
-    .attr("transform", `translate(0, ${height})`)
-    .call(gridLinesX)
-    .selectAll("line")
-    .attr("stroke", gridColor)
-    .attr("stroke-opacity", 0.5)
-    .attr("stroke-dasharray", handDrawnEffect ? "5,3" : "none"); // Dashed lines for hand-drawn effect
-
-  svg.append("g")
-    .attr("class", "grid grid-y")
-    .call(gridLinesY)
-    .selectAll("line")
-    .attr("stroke", gridColor)
-    .attr("stroke-opacity", 0.5)
-    .attr("stroke-dasharray", handDrawnEffect ? "5,3" : "none"); // Dashed lines for hand-drawn effect
-
-  // Apply hand-drawn style to axes
-  const xAxis = d3.axisBottom(x);
-  const yAxis = d3.axisLeft(y);
-
-  svg.append('g')
-    .attr('class', 'x axis hand-drawn-axis')
-    .attr('transform', `translate(0, ${height})`)
-    .call(xAxis)
-    .selectAll('text')
-    .style('font-family', fontFamily);
-
-  svg.append('g')
-    .attr('class', 'y axis hand-drawn-axis')
-    .call(yAxis)
-    .selectAll('text')
-    .style('font-family', fontFamily);
-
-  // Style the axis paths to look hand-drawn
-  if (handDrawnEffect) {
-    svg.selectAll(".hand-drawn-axis path")
-      .attr("stroke-width", 2)
-      .attr("stroke-linecap", strokeLinecap)
-      .attr("stroke-linejoin", strokeLinejoin);
-  }
+  drawTitles(root, settings, {
+    width: width + margin.left + margin.right,
+    height: height + margin.top + margin.bottom,
+    plot: { x: margin.left, y: margin.top, width, height }
+  });
+
+  // Add grid lines and axes with hand-drawn styling
+  drawGrid(svg, x, y, { width, height, settings, yTicks });
+  drawAxes(svg, x, y, {
+    height,
+    settings,
+    yTicks,
+    xTickFormat: createFormatter(settings.xTickFormat, xType === 'time'),
+    yTickFormat: createFormatter(settings.yTickFormat)
+  });
+  drawZeroBaseline(svg, y, { width, settings, random });
 
-  // Create SVG defs for filters
+  // Create SVG defs for filters and fill patterns
   const defs = svg.append('defs');
 
   // Add xkcdify filter if hand-drawn effect is enabled
-  if (handDrawnEffect) {
-    createXkcdFilter(defs);
-  }
+  const filterId = `${context.id}-xkcdify`;
+  const filter = handDrawnEffect ? createXkcdFilter(defs, filterId) : null;
+
+  // Stacked series are filled unless a dataset opts out
+  const colors = data.datasets.map((dataset, index) => dataset.lineColor || settings.lineColor
+    || settings.colors[index % settings.colors.length]);
+  const filled = data.datasets.map(dataset => (dataset.fill === undefined ? stacked : !!dataset.fill));
+
+  // Series can carry their own units, a dataset formatter wins over the chart's
+  const valueFormat = createFormatter(settings.valueFormat);
+  const seriesFormats = data.datasets.map(dataset => createFormatter(dataset.valueFormat) || valueFormat);
+  const formatValue = (value, datasetIndex = null) => {
+    const format = datasetIndex === null ? valueFormat : seriesFormats[datasetIndex];
+    return format ? format(value) : value;
+  };
 
-  // Add legend with no outer border
-  const legendGroup = svg.append('g')
-    .attr('class', 'legend')
-    .attr('transform', `translate(${width - 150}, 20)`);
-
-  // Create legend background if border is enabled
-  if (legendBorder) {
-    legendGroup.append('rect')
-      .attr('fill', tooltipBgColor)
-      .attr('fill-opacity', tooltipOpacity)
-      .attr('stroke', tooltipBorderColor)
-      .attr('stroke-width', tooltipBorderWidth)
-      .attr('rx', tooltipBorderRadius)
-      .attr('ry', tooltipBorderRadius)
-      .attr('filter', handDrawnEffect ? 'url(#xkcdify)' : null)
-      .attr('width', 120)
-      .attr('height', (data.datasets.length * 20) + 10);
+  // Create scribble pattern fills for the filled areas
+  let fillPatterns = [];
+  if (filled.some(Boolean)) {
+    if (fillStyle === 'oilpaint') {
+      fillPatterns = createOilPaintPatternSet(defs, colors, random, `${context.id}-oil-paint`);
+    } else {
+      fillPatterns = createScribblePatternSet(defs, colors, random, `${context.id}-scribble-pattern`);
+    }
   }
 
-  // Create hover overlay for each X point
+  // Areas sit below the hover areas so they never block hovering
+  const areas = svg.append('g')
+    .attr('class', 'areas');
+
+  // Add the legend, clicking an entry hides or shows its series
+  const legend = drawLegend(svg, legendLayout, colors, {
+    origin: { x: margin.left, y: margin.top },
+    settings,
+    filter,
+    context
+  });
+
+  // Create hover overlay for each X position
   const hoverAreas = svg.append('g')
     .attr('class', 'hover-areas');
 
-  // Create hover line
+  // Create hover line, lines and dots drawn over the hover areas let the pointer through
   const hoverLine = svg.append('line')
     .attr('class', 'hover-line')
-    .style('opacity', 0);
+    .style('opacity', 0)
+    .style('pointer-events', 'none');
 
-  data.labels.forEach((label, i) => {
-    const xPos = x(label);
+  // Each hover area reaches halfway to its neighbours, so uneven spacing is covered
+  slots.forEach((slot, i) => {
+    const start = i === 0 ? 0 : (slots[i - 1].position + slot.position) / 2;
+    const end = i === slots.length - 1 ? width : (slot.position + slots[i + 1].position) / 2;
 
     hoverAreas.append('rect')
       .attr('class', 'hover-area')
-      .attr('x', xPos - (width / data.labels.length) / 2)
+      .attr('x', start)
       .attr('y', 0)
-      .attr('width', width / data.labels.length)
+      .attr('width', Math.max(0, end - start))
       .attr('height', height)
       .attr('fill', 'transparent')
       .attr('data-index', i)
-      .attr('data-label', label);
+      .attr('data-label', formatXTitle(slot.x, xType));
   });
 
+  // Sketched outline points of each series, the upper edge of its area
+  const outlines = [];
+
+  // Line along the base a stacked series sits on
+  const baseLine = d3.line()
+    .x(p => x(p.x))
+    .y(p => y(p.base))
+    .curve(d3.curveMonotoneX);
+
+  // Lower edge of an area, traced backwards from the end of the run
+  function getAreaBase(run, outline, seriesIndex) {
+    const start = outline[0].x;
+    const end = outline[outline.length - 1].x;
+
+    if (!stacked) {
+      return `L${end},${baselineY}L${start},${baselineY}`;
+    }
+
+    // Follow the sketched line of the visible series below so the hatching meets it exactly
+    const belowIndex = d3.range(seriesIndex - 1, -1, -1).find(i => !context.isHidden(i));
+    const below = handDrawnEffect && belowIndex !== undefined
+      ? outlines[belowIndex].filter(p => p.x >= start && p.x <= end)
+      : [];
+
+    if (below.length > 1) {
+      return `L${handDrawnPointsToPath(below.reverse()).slice(1)}`;
+    }
+
+    return `L${baseLine(run.slice().reverse()).slice(1)}`;
+  }
+
   data.datasets.forEach((dataset, index) => {
-    const lineColor = dataset.lineColor || settings.lineColor;
+    if (context.isHidden(index)) {
+      return;
+    }
+
+    const lineColor = colors[index];
+    const points = seriesPoints[index];
+    const presentPoints = points.filter(p => !isMissing(p.y));
 
-    // Create the line generator
+    // Every series wobbles on its own so it keeps its look when other series change
+    const key = getSeriesKey(dataset, index, data.datasets);
+    const seriesRandom = createRandom(`${seed}:${key}`);
+
+    // Draw a path string with the hand-drawn effect when it is enabled
+    const sketch = (pathString, numPoints) => (handDrawnEffect
+      ? addHandDrawnEffect(pathString, handDrawnJitter, numPoints, seriesRandom)
+      : pathString);
+
+    // Create the line generators for the series top and the base it is stacked on
     const line = d3.line()
-      .x((d, i) => x(data.labels[i]))
-      .y(d => y(d))
+      .x(p => x(p.x))
+      .y(p => y(p.top))
       .curve(d3.curveMonotoneX);
 
-    // Get the path string for the line
-    const pathString = line(dataset.data);
-
-    // Create the path element
-    const pathElement = svg.append('path')
-      .datum(dataset.data)
-      .attr('class', 'line')
-      .attr('fill', 'none')
-      .attr('stroke', lineColor)
-      .attr('stroke-width', 3);
-
-    // Apply hand-drawn effect if enabled
-    if (handDrawnEffect) {
-      const handDrawnPath = addHandDrawnEffect(
-        pathString,
-        handDrawnJitter,
-        handDrawnPoints
-      );
-
-      pathElement
-        .attr('d', handDrawnPath)
+    // Missing values split the series into separately drawn runs
+    const runs = splitRuns(points);
+    outlines[index] = [];
+
+    runs.forEach((run, runIndex) => {
+      // Bridge the gap from the previous run with a dashed connector
+      if (spanGaps && runIndex > 0) {
+        const from = runs[runIndex - 1][runs[runIndex - 1].length - 1];
+        const to = run[0];
+
+        svg.append('path')
+          .datum([from, to])
+          .attr('class', `line-gap line-gap-${index}`)
+          .attr('data-key', `line-gap:${key}:${runIndex}`)
+          .attr('d', sketch(`M${x(from.x)},${y(from.top)}L${x(to.x)},${y(to.top)}`, 20))
+          .attr('fill', 'none')
+          .attr('stroke', lineColor)
+          .attr('stroke-width', 2)
+          .attr('stroke-dasharray', '6,4')
+          .attr('stroke-linecap', strokeLinecap)
+          .style('pointer-events', 'none');
+      }
+
+      // A single point has no line, its dot is enough
+      if (run.length < 2) {
+        return;
+      }
+
+      // Share the sample points between runs by their number of points
+      const numPoints = Math.max(10, Math.round(handDrawnPoints * (run.length - 1) / Math.max(1, presentPoints.length - 1)));
+
+      // Keep the sketched points so the area follows the drawn stroke
+      const outline = handDrawnEffect
+        ? createHandDrawnPoints(line(run), handDrawnJitter, numPoints, seriesRandom)
+        : run.map(p => ({ x: x(p.x), y: y(p.top) }));
+      const pathString = handDrawnEffect ? handDrawnPointsToPath(outline) : line(run);
+      outlines[index].push(...outline);
+
+      if (filled[index]) {
+        areas.append('path')
+          .attr('class', `area area-${index}`)
+          .attr('data-key', `area:${key}:${runIndex}`)
+          .attr('d', `${pathString}${getAreaBase(run, outline, index)}Z`)
+          .attr('fill', fillPatterns[index] || lineColor)
+          .attr('stroke', 'none')
+          .style('pointer-events', 'none');
+      }
+
+      svg.append('path')
+        .datum(run)
+        .attr('class', `line line-${index}`)
+        .attr('data-key', `line:${key}:${runIndex}`)
+        .attr('d', pathString)
+        .attr('fill', 'none')
+        .attr('stroke', lineColor)
+        .style('stroke-width', lineWidth)
         .attr('stroke-linecap', strokeLinecap)
-        .attr('stroke-linejoin', strokeLinejoin);
-    } else {
-      pathElement.attr('d', pathString);
-    }
+        .attr('stroke-linejoin', strokeLinejoin)
+        .style('pointer-events', 'none');
+    });
 
     // Add data points with slight position randomization for hand-drawn effect
     svg.selectAll(`.dot-${index}`)
-      .data(dataset.data)
+      .data(presentPoints)
       .enter().append('circle')
       .attr('class', `dot dot-${index}`)
-      .attr('cx', (d, i) => {
-        const baseX = x(data.labels[i]);
-        return handDrawnEffect ? baseX + (Math.random() - 0.5) * (handDrawnJitter / 2) : baseX;
+      .attr('data-key', p => `dot:${key}:${xKey(p.x)}`)
+      .attr('data-index', p => slotIndex.get(xKey(p.x)))
+      .attr('cx', p => {
+        const baseX = x(p.x);
+        return handDrawnEffect ? baseX + (seriesRandom() - 0.5) * (handDrawnJitter / 2) : baseX;
       })
-      .attr('cy', d => {
-        const baseY = y(d);
-        return handDrawnEffect ? baseY + (Math.random() - 0.5) * (handDrawnJitter / 2) : baseY;
+      .attr('cy', p => {
+        const baseY = y(p.top);
+        return handDrawnEffect ? baseY + (seriesRandom() - 0.5) * (handDrawnJitter / 2) : baseY;
       })
       .attr('r', pointRadius)
-      .attr('fill', lineColor);
-
-    // Add legend entries with slight position randomization for hand-drawn effect
-    legendGroup.append('rect')
-      .attr('x', handDrawnEffect ? (Math.random() - 0.5) * 2 : 0)
-      .attr('y', index * 20 + (handDrawnEffect ? (Math.random() - 0.5) * 2 : 0))
-      .attr('width', 8)
-      .attr('height', 8)
-      .attr('rx', 2)
-      .attr('ry', 2)
       .attr('fill', lineColor)
-      .attr('filter', handDrawnEffect ? 'url(#xkcdify)' : null);
-
-    legendGroup.append('text')
-      .attr('x', 15 + (handDrawnEffect ? (Math.random() - 0.5) * 2 : 0))
-      .attr('y', index * 20 + 8 + (handDrawnEffect ? (Math.random() - 0.5) * 2 : 0))
-      .text(dataset.label)
-      .style('font-size', '14px')
-      .style('font-family', fontFamily)
-      .style('fill', tooltipTextColor)
-      .attr('alignment-baseline', 'middle');
+      .style('pointer-events', 'none');
   });
 
-  // Create tooltip instance (initially hidden)
-  let tooltip = null;
+  // Point the annotations at their targets, notes on hidden series or missing values are left out
+  const notes = (settings.annotations || []).map((annotation, index) => {
+    const key = annotation.id !== undefined && annotation.id !== null ? annotation.id : index;
+    let target = null;
 
-// Add hover events to the hover areas
-  hoverAreas.selectAll('.hover-area')
-    .on('mouseover', function (event) {
-      const index = parseInt(d3.select(this).attr('data-index'));
-      const label = data.labels[index];
-      const xPos = x(label);
+    if (annotation.label !== undefined) {
+      const datasetIndex = typeof annotation.dataset === 'string'
+        ? data.datasets.findIndex(dataset => dataset.label === annotation.dataset)
+        : annotation.dataset || 0;
+      const labelKey = xKey(parseX(annotation.label, xType));
+      const point = (seriesPoints[datasetIndex] || []).find(p => xKey(p.x) === labelKey);
 
-      // Highlight the corresponding data points
+      if (point && !isMissing(point.y)) {
+        target = { x: x(point.x), y: y(point.top) };
+      }
+    } else {
+      target = { x: x(parseX(annotation.x, xType)), y: y(annotation.y) };
+    }
+
+    if (!target || !Number.isFinite(target.x) || !Number.isFinite(target.y)) {
+      return null;
+    }
+
+    return { ...annotation, key, target };
+  }).filter(Boolean);
+
+  const annotations = drawAnnotations(svg, notes, { width, height, settings });
+
+  // Sketch the chart in, the pen sweeps across each series and the dots pop in behind it
+  const animation = getEntranceAnimation(settings, context, container.node().ownerDocument);
+  if (animation) {
+    const { duration, ease, stagger } = animation;
+    const penTime = position => timeToReach(ease, Math.max(0, Math.min(1, position / width))) * duration;
+
+    sketchAxesIn(svg, animation);
+    sketchLegendIn(legend, animation);
+    hatchPatternsIn(defs, animation, index => index * stagger + duration / 2);
+
+    data.datasets.forEach((dataset, index) => {
+      const start = index * stagger;
+
+      // Each run is traced while the pen crosses its part of the plot
+      svg.selectAll(`.line-${index}, .line-gap-${index}`).each(function (run) {
+        const from = penTime(x(run[0].x));
+        const to = penTime(x(run[run.length - 1].x));
+
+        drawPathsIn(d3.select(this), { duration: Math.max(1, to - from), ease: d3.easeLinear }, start + from);
+      });
+
+      popIn(svg.selectAll(`.dot-${index}`), animation, p => start + penTime(x(p.x)));
+    });
+
+    // Notes are written once the lines are in, then their arrows are drawn
+    const linesDrawn = duration + stagger * (data.datasets.length - 1);
+    fadeIn(annotations.selectAll('.annotation'), { duration: duration / 2, ease }, linesDrawn);
+    drawPathsIn(annotations.selectAll('.annotation-arrow'), { duration: duration / 2, ease }, linesDrawn + duration / 4);
+  }
+
+  // Keep the legend above the hover areas so its entries stay clickable
+  legend.raise();
+
+  // Add hover events to the hover areas
+  const tooltip = bindSeriesTooltip(svg, hoverAreas.selectAll('.hover-area'), {
+    settings,
+    filterId,
+    width,
+    height,
+    getContent(area) {
+      const slot = slots[parseInt(d3.select(area).attr('data-index'))];
+      const key = xKey(slot.x);
+      const items = [];
+
+      // List every series that has this x position, labels are shared by all series
       data.datasets.forEach((dataset, datasetIndex) => {
-        svg.selectAll(`.dot-${datasetIndex}`)
-          .filter((d, di) => di === index)
-          .attr('r', pointRadius * 1.5)
-          .attr('stroke', '#000')
-          .attr('stroke-width', 1);
+        const point = seriesPoints[datasetIndex].find(p => xKey(p.x) === key);
+
+        if (!context.isHidden(datasetIndex) && (point || xType === 'category')) {
+          items.push({
+            color: colors[datasetIndex],
+            text: `${dataset.label}: ${point && !isMissing(point.y) ? formatValue(point.y, datasetIndex) : 'no data'}`
+          });
+        }
       });
 
-      // Create tooltip items
-      const tooltipItems = data.datasets.map(dataset => ({
-        color: dataset.lineColor || settings.lineColor,
-        text: `${dataset.label}: ${dataset.data[index]}`
-      }));
-
-      // Get the correct mouse position relative to the chart
-      const svgNode = svg.node();
-      const svgRect = svgNode.getBoundingClientRect();
-      const mouseX = event.clientX - svgRect.left - margin.left;
-      const mouseY = event.clientY - svgRect.top - margin.top;
-
-      // Create tooltip if it doesn't exist, otherwise update it
-      if (!tooltip) {
-        tooltip = new XkcdTooltip({
-          parent: svg,
-          title: label,
-          items: tooltipItems,
-          position: {
-            type: 'auto',
-            x: mouseX,
-            y: mouseY
-          },
-          unxkcdify: !handDrawnEffect,
-          backgroundColor: tooltipBgColor,
-          strokeColor: tooltipBorderColor,
-          fontFamily,
-          chartWidth: width,
-          chartHeight: height
-        });
-        tooltip.show();
-      } else {
-        tooltip.update({
-          title: label,
-          items: tooltipItems,
-          position: {
-            type: 'auto',
-            x: mouseX,
-            y: mouseY
-          }
+      // Stacked series also show the height of the whole stack
+      if (stacked) {
+        const total = d3.sum(seriesPoints, points => {
+          const point = points.find(p => xKey(p.x) === key);
+          return point && !isMissing(point.y) ? point.y : 0;
         });
-        tooltip.show();
+
+        items.push({ color: 'transparent', text: `Total: ${formatValue(total)}` });
       }
 
+      return {
+        title: formatXTitle(slot.x, xType),
+        items
+      };
+    },
+    onShow(area) {
+      const index = d3.select(area).attr('data-index');
+      const xPos = slots[index].position;
+
+      // Highlight the corresponding data points
+      svg.selectAll(`.dot[data-index="${index}"]`)
+        .attr('r', pointRadius * 1.5)
+        .style('stroke', textColor)
+        .attr('stroke-width', 1);
+
       // Draw vertical line at hover position
       hoverLine
         .attr('x1', xPos)
         .attr('x2', xPos)
         .attr('y1', 0)
         .attr('y2', height)
-        .attr('stroke', '#888')
+        .style('stroke', hoverLineColor)
         .attr('stroke-width', 1)
         .attr('stroke-dasharray', '5,3')
         .style('opacity', 1);
-    })
-    .on('mousemove', function (event) {
-      // Update tooltip position to follow mouse
-      if (tooltip) {
-        // Get mouse position relative to the chart
-        const svgNode = svg.node();
-        const svgRect = svgNode.getBoundingClientRect();
-        const mouseX = event.clientX - svgRect.left - margin.left;
-        const mouseY = event.clientY - svgRect.top - margin.top;
-        
-        tooltip.update({
-          position: {
-            type: 'auto',
-            x: mouseX,
-            y: mouseY
-          }
-        });
-      }
-    })
-    .on('mouseout', function () {
-      // Hide the tooltip
-      if (tooltip) {
-        tooltip.hide();
-      }
-
+    },
+    onHide() {
       // Reset the highlighted data points
       svg.selectAll('.dot')
         .attr('r', pointRadius)
-        .attr('stroke', 'none');
+        .style('stroke', null);
 
       // Hide the hover line
       hoverLine.style('opacity', 0);
-    });
-
-  // Return a cleanup function to remove tooltip elements when graph is destroyed
-  return function cleanup() {
-    if (tooltip) {
-      tooltip.svg.remove();
     }
+  });
+
+  // Value of a series at a slot, null when it has none
+  const valueAt = (datasetIndex, slot) => {
+    const point = seriesPoints[datasetIndex].find(p => xKey(p.x) === xKey(slot.x));
+    return point && !isMissing(point.y) ? point : null;
   };
-}
\ No newline at end of file
+
+  // Step through the x positions with the keyboard, the tooltip sits above the highest point
+  makeChartAccessible(container, {
+    id: context.id,
+    settings,
+    type: 'Line chart',
+    names: data.datasets.map(dataset => dataset.label),
+    hint: 'Use the arrow keys to move between x positions.',
+    navigation: {
+      targets: hoverAreas.selectAll('.hover-area').nodes(),
+      show(area) {
+        const slot = slots[d3.select(area).attr('data-index')];
+        const tops = seriesPoints.map((points, i) => valueAt(i, slot)).filter(Boolean).map(p => y(p.top));
+
+        return tooltip.show(area, {
+          type: 'auto',
+          x: slot.position,
+          y: tops.length ? d3.min(tops) : height / 2
+        });
+      },
+      hide: tooltip.hide
+    },
+    getTable() {
+      // The table lists every series, hidden or not, in x order
+      const rows = Array.from(d3.group(
+        allSeriesPoints.flatMap((points, i) => points.map(point => ({ point, i }))),
+        d => xKey(d.point.x)
+      ).values());
+
+      if (xType !== 'category') {
+        rows.sort((a, b) => xKey(a[0].point.x) - xKey(b[0].point.x));
+      }
+
+      return {
+        columns: [xType === 'category' ? 'Label' : 'X', ...data.datasets.map(dataset => dataset.label)],
+        rows: rows.map(entries => [
+          formatXTitle(entries[0].point.x, xType),
+          ...data.datasets.map((dataset, i) => {
+            const entry = entries.find(d => d.i === i);
+            return entry && !isMissing(entry.point.y) ? formatValue(entry.point.y, i) : null;
+          })
+        ])
+      };
+    }
+  });
+
+  // Return a teardown function to remove tooltip elements before a redraw
+  return tooltip.remove;
+}
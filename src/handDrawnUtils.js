@@ -2,23 +2,22 @@
  * Utility functions for creating hand-drawn chart elements
  */
 import * as d3 from 'd3';
+import { createPathSampler } from './pathSampler';
 
 /**
- * Creates a hand-drawn effect by adding jitter to a path
- * @param {String} pathString - SVG path string to modify
+ * Samples jittered points along a path
+ * These are the points a hand-drawn path is smoothed through, so shapes
+ * built from them (e.g. area fills) line up with the sketched stroke
+ * @param {String} pathString - SVG path string to sample
  * @param {Number} jitterAmount - Amount of jitter to add
  * @param {Number} numPoints - Number of points to sample along the path
- * @returns {String} The new path string with hand-drawn effect
+ * @param {Function} random - Random number generator returning values in [0, 1)
+ * @returns {Array} Jittered points with x and y
  */
-export function addHandDrawnEffect(pathString, jitterAmount = 2, numPoints = 100) {
-    // Create a temporary SVG path element to get points along the path
-    const tempSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathString);
-    tempSvg.appendChild(path);
-    document.body.appendChild(tempSvg);
-
-    const length = path.getTotalLength();
+export function createHandDrawnPoints(pathString, jitterAmount = 2, numPoints = 100, random = Math.random) {
+    // Measure the path without a live DOM so this also works headless
+    const path = createPathSampler(pathString);
+    const length = path.length;
     let handDrawnPoints = [];
 
     // Sample points along the path
@@ -26,22 +25,39 @@ export function addHandDrawnEffect(pathString, jitterAmount = 2, numPoints = 100
         const point = path.getPointAtLength(length * i / numPoints);
 
         // Add random jitter
-        point.x += (Math.random() - 0.5) * jitterAmount;
-        point.y += (Math.random() - 0.5) * jitterAmount;
+        point.x += (random() - 0.5) * jitterAmount;
+        point.y += (random() - 0.5) * jitterAmount;
 
         handDrawnPoints.push(point);
     }
 
-    // Clean up temporary SVG
-    document.body.removeChild(tempSvg);
+    return handDrawnPoints;
+}
 
-    // Create a new line generator for the jittered points
+/**
+ * Creates a smooth path through hand-drawn points
+ * @param {Array} points - Points with x and y
+ * @returns {String} Path string
+ */
+export function handDrawnPointsToPath(points) {
     const handDrawnLine = d3.line()
         .x(d => d.x)
         .y(d => d.y)
         .curve(d3.curveBasis); // Use a basis curve for smoothing
 
-    return handDrawnLine(handDrawnPoints);
+    return handDrawnLine(points);
+}
+
+/**
+ * Creates a hand-drawn effect by adding jitter to a path
+ * @param {String} pathString - SVG path string to modify
+ * @param {Number} jitterAmount - Amount of jitter to add
+ * @param {Number} numPoints - Number of points to sample along the path
+ * @param {Function} random - Random number generator returning values in [0, 1)
+ * @returns {String} The new path string with hand-drawn effect
+ */
+export function addHandDrawnEffect(pathString, jitterAmount = 2, numPoints = 100, random = Math.random) {
+    return handDrawnPointsToPath(createHandDrawnPoints(pathString, jitterAmount, numPoints, random));
 }
 
 /**
@@ -51,9 +67,10 @@ export function addHandDrawnEffect(pathString, jitterAmount = 2, numPoints = 100
  * @param {Number} width - Rectangle width
  * @param {Number} height - Rectangle height
  * @param {Number} jitter - Amount of jitter to add
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} The hand-drawn rectangle path string
  */
-export function createHandDrawnRect(x, y, width, height, jitter = 2) {
+export function createHandDrawnRect(x, y, width, height, jitter = 2, random = Math.random) {
     // Define the corners
     const topLeft = { x: x, y: y };
     const topRight = { x: x + width, y: y };
@@ -68,7 +85,7 @@ export function createHandDrawnRect(x, y, width, height, jitter = 2) {
     for (let i = 0; i <= numPoints; i++) {
         const point = {
             x: topLeft.x + (topRight.x - topLeft.x) * (i / numPoints),
-            y: topLeft.y + (Math.random() - 0.5) * jitter
+            y: topLeft.y + (random() - 0.5) * jitter
         };
         points.push(point);
     }
@@ -76,7 +93,7 @@ export function createHandDrawnRect(x, y, width, height, jitter = 2) {
     // Add points for right edge
     for (let i = 0; i <= numPoints; i++) {
         const point = {
-            x: topRight.x + (Math.random() - 0.5) * jitter,
+            x: topRight.x + (random() - 0.5) * jitter,
             y: topRight.y + (bottomRight.y - topRight.y) * (i / numPoints)
         };
         points.push(point);
@@ -86,7 +103,7 @@ export function createHandDrawnRect(x, y, width, height, jitter = 2) {
     for (let i = 0; i <= numPoints; i++) {
         const point = {
             x: bottomRight.x - (bottomRight.x - bottomLeft.x) * (i / numPoints),
-            y: bottomRight.y + (Math.random() - 0.5) * jitter
+            y: bottomRight.y + (random() - 0.5) * jitter
         };
         points.push(point);
     }
@@ -94,7 +111,7 @@ export function createHandDrawnRect(x, y, width, height, jitter = 2) {
     // Add points for left edge
     for (let i = 0; i <= numPoints; i++) {
         const point = {
-            x: bottomLeft.x + (Math.random() - 0.5) * jitter,
+            x: bottomLeft.x + (random() - 0.5) * jitter,
             y: bottomLeft.y - (bottomLeft.y - topLeft.y) * (i / numPoints)
         };
         points.push(point);
@@ -115,10 +132,12 @@ export function createHandDrawnRect(x, y, width, height, jitter = 2) {
 /**
  * Create an xkcdify SVG filter for hand-drawn effect
  * @param {Object} defs - D3 selection of SVG defs element
+ * @param {String} id - Filter ID, unique per chart
+ * @returns {String} Filter ID reference to use as filter attribute
  */
-export function createXkcdFilter(defs) {
+export function createXkcdFilter(defs, id = 'xkcdify') {
     const filter = defs.append('filter')
-        .attr('id', 'xkcdify');
+        .attr('id', id);
 
     filter.append('feTurbulence')
         .attr('type', 'fractalNoise')
@@ -131,6 +150,8 @@ export function createXkcdFilter(defs) {
         .attr('xChannelSelector', 'R')
         .attr('yChannelSelector', 'G')
         .attr('in', 'SourceGraphic');
+
+    return `url(#${id})`;
 }
 
 /**
@@ -139,16 +160,17 @@ export function createXkcdFilter(defs) {
  * @param {Number} cy - Center Y position
  * @param {Number} radius - Circle radius
  * @param {Number} jitter - Amount of jitter to add
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} The hand-drawn circle path string
  */
-export function createHandDrawnCircle(cx, cy, radius, jitter = 2) {
+export function createHandDrawnCircle(cx, cy, radius, jitter = 2, random = Math.random) {
     const numPoints = 40; // Points around the circle
     let points = [];
 
     // Generate points around the circle with jitter
     for (let i = 0; i < numPoints; i++) {
         const angle = (i / numPoints) * 2 * Math.PI;
-        const jitterAmount = (Math.random() - 0.5) * jitter;
+        const jitterAmount = (random() - 0.5) * jitter;
         const adjustedRadius = radius + jitterAmount;
         
         const point = {
@@ -169,4 +191,24 @@ export function createHandDrawnCircle(cx, cy, radius, jitter = 2) {
         .curve(d3.curveBasisClosed);
 
     return pathGenerator(points);
-}
\ No newline at end of file
+}
+
+/**
+ * Create a scribbled strike-through line, as if crossed out by hand
+ * @param {Number} x1 - Start X position
+ * @param {Number} x2 - End X position
+ * @param {Number} y - Vertical center of the line
+ * @param {Number} jitter - Amount of jitter to add
+ * @param {Function} random - Random number generator returning values in [0, 1)
+ * @returns {String} The strike-through path string
+ */
+export function createScribbledStrikeThrough(x1, x2, y, jitter = 2, random = Math.random) {
+    // Go back and forth across the text a few times with a slight slope
+    const passes = [
+        `M${x1},${y + 1}L${x2},${y - 2}`,
+        `M${x2},${y - 2}L${x1 + 3},${y + 2}`,
+        `M${x1 + 3},${y + 2}L${x2 - 2},${y}`
+    ];
+
+    return passes.map(pass => addHandDrawnEffect(pass, jitter, 12, random)).join('');
+}
@@ -1,8 +1,15 @@
 import { createGraph } from './graph';
 import { createPieChart } from './pie-chart';
-import './styles/graph.scss';
+import { createBarChart } from './bar-chart';
+import { createScatterChart } from './scatter-chart';
+import { renderToString } from './renderToString';
+import { themes } from './themes';
 
 export {
     createGraph,
     createPieChart,
+    createBarChart,
+    createScatterChart,
+    renderToString,
+    themes,
 };
\ No newline at end of file
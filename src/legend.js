@@ -0,0 +1,343 @@
+/**
+ * Chart legend shared by every chart type
+ * Entries are measured, laid out in rows or columns and placed beside the plot,
+ * which shrinks to make room, or inside one of its corners
+ */
+import { createHandDrawnRect, createScribbledStrikeThrough } from './handDrawnUtils';
+import { createRandom } from './random';
+import { createTextMeasurer } from './textMeasurer';
+
+// Legend positions beside the plot, by the margin they take space from
+const OUTSIDE_POSITIONS = ['top', 'bottom', 'left', 'right'];
+
+// Legend positions inside a corner of the plot
+const INSIDE_POSITIONS = ['inside-top-left', 'inside-top-right', 'inside-bottom-left', 'inside-bottom-right'];
+
+// Space between the legend and its surroundings
+const LEGEND_PADDING = 10;
+
+// Space between legend columns
+const COLUMN_GAP = 20;
+
+// Width of the color swatch and the gap before its label
+const SWATCH_WIDTH = 15;
+
+// Space between the legend border and the entries
+const BORDER_PADDING = 10;
+
+/**
+ * Resolve the legend option into a full set of legend options
+ * @param {String|Boolean|Object} legend - Legend option: a position, false for none, or an options object
+ * @param {Object} defaults - Chart's default legend options
+ * @returns {Object} Legend options { position, flow, columns }
+ */
+export function resolveLegendOptions(legend, defaults) {
+    let options;
+    if (legend === false || legend === null) {
+        options = { position: 'none' };
+    } else if (typeof legend === 'string') {
+        options = { position: legend };
+    } else {
+        options = legend || {};
+    }
+
+    const resolved = { flow: null, columns: null, ...defaults, ...options };
+
+    if (resolved.position !== 'none' && !OUTSIDE_POSITIONS.includes(resolved.position) && !INSIDE_POSITIONS.includes(resolved.position)) {
+        throw new Error(`Handwritten graph: unknown legend position "${resolved.position}", expected one of ${[...OUTSIDE_POSITIONS, ...INSIDE_POSITIONS, 'none'].join(', ')}`);
+    }
+
+    // Legends above and below the plot read across, the others read down
+    if (!resolved.flow) {
+        resolved.flow = resolved.position === 'top' || resolved.position === 'bottom' ? 'horizontal' : 'vertical';
+    }
+
+    return resolved;
+}
+
+/**
+ * Shorten a label with an ellipsis until its text fits a width
+ * @param {Object} measurer - Text measurer
+ * @param {String} label - Label to shorten
+ * @param {String} detail - Text after the label that is always kept, may be empty
+ * @param {Number} maxWidth - Width the text has to fit
+ * @returns {String} Label that fits, the full label when it already does
+ */
+function fitLabel(measurer, label, detail, maxWidth) {
+    const textOf = text => (detail ? `${text} ${detail}` : text);
+
+    if (measurer.measure(textOf(label)) <= maxWidth) {
+        return label;
+    }
+
+    // Longest prefix that still fits together with the ellipsis
+    let low = 0;
+    let high = label.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (measurer.measure(textOf(`${label.substring(0, middle)}...`)) <= maxWidth) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return `${label.substring(0, low)}...`;
+}
+
+/**
+ * Arrange measured entries in a grid
+ * @param {Array} widths - Entry widths
+ * @param {Number} columns - Number of columns
+ * @param {String} flow - 'horizontal' fills rows first, 'vertical' fills columns first
+ * @param {Number} rowHeight - Height of a row
+ * @returns {Object} Grid { cells: [{ x, y }], width, height }
+ */
+function arrangeEntries(widths, columns, flow, rowHeight) {
+    const rows = Math.ceil(widths.length / columns);
+    const cellOf = i => (flow === 'horizontal'
+        ? { column: i % columns, row: Math.floor(i / columns) }
+        : { column: Math.floor(i / rows), row: i % rows });
+
+    const columnWidths = [];
+    widths.forEach((width, i) => {
+        const { column } = cellOf(i);
+        columnWidths[column] = Math.max(columnWidths[column] || 0, width);
+    });
+
+    const columnX = [];
+    columnWidths.reduce((x, width, column) => {
+        columnX[column] = x;
+        return x + width + COLUMN_GAP;
+    }, 0);
+
+    return {
+        cells: widths.map((width, i) => {
+            const { column, row } = cellOf(i);
+            return { x: columnX[column], y: row * rowHeight };
+        }),
+        width: columnWidths.reduce((sum, width) => sum + width, 0) + COLUMN_GAP * (columnWidths.length - 1),
+        height: rows * rowHeight
+    };
+}
+
+/**
+ * Measure and lay out the legend, then make room for it around the plot
+ * @param {Object} root - D3 selection of the chart's root SVG element, used to measure the entries
+ * @param {Array} entries - Legend entries { label, detail }, the detail (e.g. a percentage) follows the label
+ * @param {Object} options - Legend options
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {Object} options.defaults - Chart's default legend options
+ * @param {Object} options.layout - Plot layout { width, height, margin } before the legend
+ * @param {Object} options.outer - Space kept free along the chart edges { top, bottom, left }, e.g. for titles
+ * @returns {Object} Plot layout { width, height, margin } and the legend to pass to drawLegend
+ */
+export function placeLegend(root, entries, { settings, defaults, layout, outer = { top: 0, bottom: 0, left: 0 } }) {
+    const { fontFamily, legendBorder } = settings;
+    const { position, flow, columns } = resolveLegendOptions(settings.legend, defaults);
+
+    if (position === 'none' || !entries.length) {
+        return { layout, legend: null };
+    }
+
+    const { width, height, margin } = layout;
+    const chartWidth = width + margin.left + margin.right;
+    const chartHeight = height + margin.top + margin.bottom;
+    const inside = INSIDE_POSITIONS.includes(position);
+    const beside = position === 'left' || position === 'right';
+    const border = legendBorder ? BORDER_PADDING : 0;
+
+    // Long legends get smaller text
+    const fontSize = entries.length > 6 ? 12 : 14;
+    const rowHeight = entries.length > 6 ? 16 : 20;
+
+    // Room the legend may take up, entries wider than that are shortened
+    const maxWidth = (inside ? width / 2 : beside ? chartWidth * 0.4 : chartWidth - LEGEND_PADDING * 2) - border * 2;
+    const maxHeight = (beside || inside ? height - (inside ? LEGEND_PADDING * 2 : 0) : Infinity) - border * 2;
+
+    const measurer = createTextMeasurer(root, { fontFamily, fontSize });
+    const items = entries.map(({ label, detail = '' }) => {
+        const text = fitLabel(measurer, label === undefined || label === null ? '' : String(label), detail, maxWidth - SWATCH_WIDTH);
+        const labelWidth = measurer.measure(text);
+        const fullText = detail ? `${text} ${detail}` : text;
+
+        return { text: fullText, labelWidth, width: SWATCH_WIDTH + measurer.measure(fullText) };
+    });
+    measurer.remove();
+
+    // Use the given number of columns, otherwise as many as fit across or as few as fit down
+    const widths = items.map(item => item.width);
+    let grid;
+    if (columns) {
+        grid = arrangeEntries(widths, Math.max(1, Math.min(columns, items.length)), flow, rowHeight);
+    } else if (flow === 'horizontal') {
+        for (let count = items.length; count >= 1; count--) {
+            grid = arrangeEntries(widths, count, flow, rowHeight);
+            if (grid.width <= maxWidth) {
+                break;
+            }
+        }
+    } else {
+        for (let count = 1; count <= items.length; count++) {
+            grid = arrangeEntries(widths, count, flow, rowHeight);
+            if (grid.height <= maxHeight) {
+                break;
+            }
+        }
+    }
+
+    const legend = {
+        items: items.map((item, i) => ({ ...item, ...grid.cells[i] })),
+        width: grid.width + border * 2,
+        height: grid.height + border * 2,
+        offset: border,
+        fontSize,
+        x: 0,
+        y: 0
+    };
+
+    // Outside legends take a band from the plot between the titles and the axis margin
+    const plot = { width, height, margin: { ...margin } };
+    if (position === 'top' || position === 'bottom') {
+        const band = legend.height + LEGEND_PADDING * 2;
+        plot.height = Math.max(1, height - band);
+        plot.margin[position] += band;
+        legend.y = position === 'top'
+            ? outer.top + LEGEND_PADDING
+            : chartHeight - outer.bottom - LEGEND_PADDING - legend.height;
+    } else if (beside) {
+        const band = legend.width + LEGEND_PADDING * 2;
+        plot.width = Math.max(1, width - band);
+        plot.margin[position] += band;
+        legend.x = position === 'left'
+            ? outer.left + LEGEND_PADDING
+            : chartWidth - LEGEND_PADDING - legend.width;
+    }
+
+    // Center the legend along the plot, or tuck it into a corner
+    if (inside) {
+        legend.x = position.endsWith('left')
+            ? plot.margin.left + LEGEND_PADDING
+            : plot.margin.left + plot.width - LEGEND_PADDING - legend.width;
+        legend.y = position.startsWith('inside-top')
+            ? plot.margin.top + LEGEND_PADDING
+            : plot.margin.top + plot.height - LEGEND_PADDING - legend.height;
+    } else if (beside) {
+        legend.y = plot.margin.top + (plot.height - legend.height) / 2;
+    } else {
+        legend.x = plot.margin.left + (plot.width - legend.width) / 2;
+    }
+
+    return { layout: plot, legend };
+}
+
+/**
+ * Draw a legend laid out by placeLegend
+ * Clicking an entry, or pressing Enter or Space on it, toggles its series or slice,
+ * hidden ones are crossed out
+ * @param {Object} parent - D3 selection the legend is drawn in
+ * @param {Object} legend - Legend from placeLegend, null when there is no legend
+ * @param {Array} fills - Swatch fill of each entry
+ * @param {Object} options - Drawing options
+ * @param {Object} options.origin - Position of the parent in chart coordinates { x, y }
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {String} options.filter - xkcdify filter reference, null when disabled
+ * @param {Object} options.context - Chart instance context with the series visibility
+ * @returns {Object} D3 selection of the legend group, empty when there is no legend
+ */
+export function drawLegend(parent, legend, fills, { origin = { x: 0, y: 0 }, settings, filter, context }) {
+    const {
+        fontFamily, handDrawnEffect, handDrawnJitter, legendBorder, tooltipBgColor, tooltipTextColor,
+        tooltipBorderColor, tooltipBorderWidth, tooltipOpacity, seed
+    } = settings;
+
+    const legendGroup = parent.append('g')
+        .attr('class', 'legend');
+
+    if (!legend) {
+        return legendGroup;
+    }
+
+    // The legend wobbles on its own so it keeps its look when the data changes
+    const random = createRandom(`${seed}:legend`);
+    const jitter = () => (handDrawnEffect ? (random() - 0.5) * 2 : 0);
+
+    legendGroup.attr('transform', `translate(${legend.x - origin.x}, ${legend.y - origin.y})`);
+
+    // Create legend background if border is enabled
+    if (legendBorder) {
+        legendGroup.append('path')
+            .attr('class', 'legend-border')
+            .attr('d', createHandDrawnRect(0, 0, legend.width, legend.height, handDrawnEffect ? handDrawnJitter : 0, random))
+            .style('fill', tooltipBgColor)
+            .attr('fill-opacity', tooltipOpacity)
+            .style('stroke', tooltipBorderColor)
+            .attr('stroke-width', tooltipBorderWidth)
+            .attr('filter', filter);
+    }
+
+    legend.items.forEach((item, index) => {
+        const hidden = context.isHidden(index);
+
+        // Toggling redraws the chart, keyboard focus moves on to the redrawn entry
+        const toggle = refocus => {
+            const container = entry.node().closest('.handwritten-graph-container');
+            context.toggleVisibility(index);
+
+            const redrawn = refocus && container ? container.querySelectorAll('.legend-item')[index] : null;
+            if (redrawn) {
+                redrawn.focus();
+            }
+        };
+
+        // Each entry is a toggle button, pressed while its series is hidden
+        const entry = legendGroup.append('g')
+            .attr('class', `legend-item${hidden ? ' legend-item-hidden' : ''}`)
+            .attr('transform', `translate(${legend.offset + item.x}, ${legend.offset + item.y})`)
+            .attr('tabindex', 0)
+            .attr('role', 'button')
+            .attr('aria-label', `Hide ${item.text}`)
+            .attr('aria-pressed', hidden ? 'true' : 'false')
+            .style('cursor', 'pointer')
+            .style('opacity', hidden ? 0.5 : 1)
+            .on('click', () => toggle(false))
+            .on('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    toggle(true);
+                }
+            });
+
+        entry.append('rect')
+            .attr('x', jitter())
+            .attr('y', jitter())
+            .attr('width', 8)
+            .attr('height', 8)
+            .attr('rx', 2)
+            .attr('ry', 2)
+            .attr('fill', fills[index])
+            .attr('filter', filter);
+
+        entry.append('text')
+            .attr('x', SWATCH_WIDTH + jitter())
+            .attr('y', 8 + jitter())
+            .text(item.text)
+            .style('font-size', `${legend.fontSize}px`)
+            .style('font-family', fontFamily)
+            .style('fill', tooltipTextColor)
+            .attr('alignment-baseline', 'middle');
+
+        // Cross out hidden entries with a scribble
+        if (hidden) {
+            entry.append('path')
+                .attr('class', 'legend-strike')
+                .attr('d', createScribbledStrikeThrough(-2, SWATCH_WIDTH + 2 + item.labelWidth, 6, 1.5, random))
+                .attr('fill', 'none')
+                .style('stroke', tooltipTextColor)
+                .attr('stroke-width', 1.5)
+                .attr('stroke-linecap', 'round');
+        }
+    });
+
+    return legendGroup;
+}
@@ -0,0 +1,303 @@
+/**
+ * SVG path sampling without the DOM
+ * Flattens a path string into line segments so points can be measured along it,
+ * replacing getTotalLength/getPointAtLength in environments without a live document
+ */
+
+// Segments used to approximate each bezier curve
+const CURVE_STEPS = 16;
+
+// Largest angle covered by one segment of an elliptical arc
+const ARC_STEP = Math.PI / 16;
+
+// Matches path commands and numbers, including exponents and packed decimals like "1.5.5"
+const TOKEN_PATTERN = /[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+// Number of arguments taken by each command
+const ARGUMENT_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Split a path string into commands with their numeric arguments
+ * Repeated argument groups are expanded into separate commands
+ * @param {String} pathString - SVG path string
+ * @returns {Array} Commands as { type, relative, args }
+ */
+function parsePath(pathString) {
+    const tokens = String(pathString || '').match(TOKEN_PATTERN) || [];
+    const commands = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+        const token = tokens[i++];
+        const type = token.toUpperCase();
+        const count = ARGUMENT_COUNTS[type];
+
+        if (count === undefined) {
+            // Stray number without a command, skip it
+            continue;
+        }
+
+        const relative = token !== type;
+
+        if (count === 0) {
+            commands.push({ type, relative, args: [] });
+            continue;
+        }
+
+        let first = true;
+        while (i < tokens.length && !isNaN(tokens[i])) {
+            const args = tokens.slice(i, i + count).map(Number);
+            i += count;
+
+            if (args.length < count) {
+                break;
+            }
+
+            // Extra coordinate pairs after a moveto are implicit linetos
+            const implicitType = type === 'M' && !first ? 'L' : type;
+            commands.push({ type: implicitType, relative, args });
+            first = false;
+        }
+    }
+
+    return commands;
+}
+
+/**
+ * Point on a cubic bezier curve
+ * @private
+ */
+function cubicPoint(p0, p1, p2, p3, t) {
+    const mt = 1 - t;
+    return {
+        x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+        y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+    };
+}
+
+/**
+ * Point on a quadratic bezier curve
+ * @private
+ */
+function quadraticPoint(p0, p1, p2, t) {
+    const mt = 1 - t;
+    return {
+        x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+        y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y
+    };
+}
+
+/**
+ * Approximate an SVG elliptical arc with points
+ * Converts the endpoint parameterization to a center parameterization (SVG spec F.6.5)
+ * @private
+ */
+function arcPoints(start, rx, ry, rotation, largeArc, sweep, end) {
+    if (rx === 0 || ry === 0 || (start.x === end.x && start.y === end.y)) {
+        return [end];
+    }
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+
+    const phi = (rotation * Math.PI) / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+
+    // Transform the start point into the ellipse's coordinate system
+    const dx = (start.x - end.x) / 2;
+    const dy = (start.y - end.y) / 2;
+    const x1 = cosPhi * dx + sinPhi * dy;
+    const y1 = -sinPhi * dx + cosPhi * dy;
+
+    // Scale radii up if they are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+
+    const cx1 = factor * (rx * y1) / ry;
+    const cy1 = factor * -(ry * x1) / rx;
+
+    const cx = cosPhi * cx1 - sinPhi * cy1 + (start.x + end.x) / 2;
+    const cy = sinPhi * cx1 + cosPhi * cy1 + (start.y + end.y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+
+    const startAngle = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let deltaAngle = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+
+    if (!sweep && deltaAngle > 0) {
+        deltaAngle -= 2 * Math.PI;
+    } else if (sweep && deltaAngle < 0) {
+        deltaAngle += 2 * Math.PI;
+    }
+
+    const steps = Math.max(1, Math.ceil(Math.abs(deltaAngle) / ARC_STEP));
+    const points = [];
+
+    for (let i = 1; i <= steps; i++) {
+        const theta = startAngle + deltaAngle * (i / steps);
+        const ex = rx * Math.cos(theta);
+        const ey = ry * Math.sin(theta);
+
+        points.push({
+            x: cosPhi * ex - sinPhi * ey + cx,
+            y: sinPhi * ex + cosPhi * ey + cy
+        });
+    }
+
+    // Land exactly on the end point
+    points[points.length - 1] = end;
+
+    return points;
+}
+
+/**
+ * Flatten a path string into straight line segments
+ * Moves between subpaths do not produce segments, matching getTotalLength
+ * @param {String} pathString - SVG path string
+ * @returns {Array} Line segments as { from, to }
+ */
+function flattenPath(pathString) {
+    const segments = [];
+    let current = { x: 0, y: 0 };
+    let subpathStart = current;
+    let lastControl = null;
+    let lastType = null;
+
+    const lineTo = (point) => {
+        segments.push({ from: current, to: point });
+        current = point;
+    };
+
+    parsePath(pathString).forEach(({ type, relative, args }) => {
+        const ox = relative ? current.x : 0;
+        const oy = relative ? current.y : 0;
+        const point = (x, y) => ({ x: ox + x, y: oy + y });
+        let control = null;
+
+        switch (type) {
+            case 'M':
+                current = point(args[0], args[1]);
+                subpathStart = current;
+                break;
+            case 'L':
+                lineTo(point(args[0], args[1]));
+                break;
+            case 'H':
+                lineTo({ x: ox + args[0], y: current.y });
+                break;
+            case 'V':
+                lineTo({ x: current.x, y: oy + args[0] });
+                break;
+            case 'C':
+            case 'S': {
+                const start = current;
+                const reflected = lastControl && (lastType === 'C' || lastType === 'S')
+                    ? { x: 2 * start.x - lastControl.x, y: 2 * start.y - lastControl.y }
+                    : start;
+                const c1 = type === 'C' ? point(args[0], args[1]) : reflected;
+                const c2 = type === 'C' ? point(args[2], args[3]) : point(args[0], args[1]);
+                const end = type === 'C' ? point(args[4], args[5]) : point(args[2], args[3]);
+
+                for (let i = 1; i <= CURVE_STEPS; i++) {
+                    lineTo(cubicPoint(start, c1, c2, end, i / CURVE_STEPS));
+                }
+
+                current = end;
+                control = c2;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const start = current;
+                const c = type === 'Q'
+                    ? point(args[0], args[1])
+                    : (lastControl && (lastType === 'Q' || lastType === 'T')
+                        ? { x: 2 * start.x - lastControl.x, y: 2 * start.y - lastControl.y }
+                        : start);
+                const end = type === 'Q' ? point(args[2], args[3]) : point(args[0], args[1]);
+
+                for (let i = 1; i <= CURVE_STEPS; i++) {
+                    lineTo(quadraticPoint(start, c, end, i / CURVE_STEPS));
+                }
+
+                current = end;
+                control = c;
+                break;
+            }
+            case 'A':
+                arcPoints(current, args[0], args[1], args[2], !!args[3], !!args[4], point(args[5], args[6]))
+                    .forEach(lineTo);
+                break;
+            case 'Z':
+                lineTo(subpathStart);
+                break;
+        }
+
+        lastControl = control;
+        lastType = type;
+    });
+
+    return segments;
+}
+
+/**
+ * Create a sampler that measures and walks along a path string
+ * @param {String} pathString - SVG path string
+ * @returns {Object} Sampler with the total length and a getPointAtLength function
+ */
+export function createPathSampler(pathString) {
+    const segments = flattenPath(pathString);
+    const offsets = [];
+    let length = 0;
+
+    segments.forEach(segment => {
+        offsets.push(length);
+        segment.length = Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y);
+        length += segment.length;
+    });
+
+    return {
+        length,
+
+        /**
+         * Get the point at a distance along the path
+         * @param {Number} distance - Distance from the path start
+         * @returns {Object} Point with x and y
+         */
+        getPointAtLength(distance) {
+            if (segments.length === 0) {
+                return { x: 0, y: 0 };
+            }
+
+            const target = Math.max(0, Math.min(length, distance));
+
+            // Binary search for the segment containing the distance
+            let low = 0;
+            let high = segments.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (offsets[mid] <= target) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            const segment = segments[low];
+            const t = segment.length > 0 ? (target - offsets[low]) / segment.length : 0;
+
+            return {
+                x: segment.from.x + (segment.to.x - segment.from.x) * t,
+                y: segment.from.y + (segment.to.y - segment.from.y) * t
+            };
+        }
+    };
+}
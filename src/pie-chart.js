@@ -4,54 +4,78 @@
  * and tooltips that appear when hovering over segments
  */
 import * as d3 from 'd3';
-import './styles/graph.scss';
 import XkcdTooltip from './XkcdTooltip';
-import { createHandDrawnRect, createXkcdFilter } from './handDrawnUtils';
+import { addHandDrawnEffect, createXkcdFilter } from './handDrawnUtils';
 import { createScribblePatternSet, createOilPaintPatternSet } from './scribbleFills';
+import { createChartInstance } from './chartInstance';
+import { createPathSampler } from './pathSampler';
+import { createRandom } from './random';
+import { makeChartAccessible } from './accessibility';
+import { getTitleSpace, drawTitles } from './titles';
+import { placeLegend, drawLegend } from './legend';
+import { createTextMeasurer } from './textMeasurer';
+import { isTouchPointer, getSeriesKey, TOUCH_REACH } from './chartComponents';
+import { getEntranceAnimation, fadeIn, sketchLegendIn, hatchPatternsIn, timeToReach } from './animation';
 
 // Default configuration
 const defaultConfig = {
     width: 600,           // Increased default width to accommodate legend
     height: 400,          // Default height
-    margin: { top: 20, right: 150, bottom: 20, left: 20 }, // Right margin increased for legend
+    margin: { top: 20, right: 20, bottom: 20, left: 20 }, // The legend and titles add their own room
+    responsive: false,    // Follow the container width and re-layout when it resizes
+    maintainAspectRatio: true, // Keep the width/height ratio in responsive mode, otherwise fill the container height
+    theme: 'classic',     // Theme preset name, or a theme object overriding a preset (see themes.js)
+    title: null,          // Chart title, the pie shrinks to make room for it
+    subtitle: null,       // Smaller line of text under the title
+    titleUnderline: false, // Underline the title with a hand-drawn stroke
     innerRadius: 0,       // Set > 0 for a donut chart
     padAngle: 0.02,
     cornerRadius: 3,
-    fontFamily: 'xkcd',   // Default font family
     handDrawnEffect: true, // Toggle for hand-drawn effect
     handDrawnJitter: 2,   // Amount of jitter for hand-drawn effect
+    seed: null,           // Seed for reproducible hand-drawn jitter (random when not set)
+    id: null,             // Prefix for the chart's SVG element IDs, numbered to keep them unique
     strokeLinecap: 'round', // Rounded line caps for hand-drawn effect
     strokeLinejoin: 'round', // Rounded line joins for hand-drawn effect
-    tooltipBgColor: '#fff', // Tooltip background color
-    tooltipTextColor: '#333', // Tooltip text color
-    tooltipBorderColor: '#333', // Tooltip border color
     tooltipBorderWidth: 2, // Tooltip border width
     tooltipBorderRadius: 5, // Tooltip border radius
     tooltipOpacity: 0.9,  // Tooltip background opacity
+    legend: { position: 'right' }, // Legend position, flow and columns, or false for none (see legend.js)
     legendBorder: true,   // Show border around legend by default
     valueFormat: d => d3.format('.1f')(d), // Format for values
+    sliceLabels: 'none',  // Slice labels: 'none', 'inside' (small slices go outside) or 'outside'
+    sliceLabelFormat: d => d.label, // Slice label text, called with { label, value, percentage } and the index
+    minInsideLabelAngle: 0.4, // Smallest slice angle in radians that fits an inside label
+    centerLabel: null,    // Donut center text: 'total' for the handwritten total or any custom text
+    ariaLabel: null,      // Accessible name of the chart, lists the slices when not set
+    ariaDescription: null, // Accessible description, explains the keyboard navigation when not set
+    dataTable: false,     // Add a visually hidden table with the data for screen readers
     useScribbleFill: true, // Use scribble fill patterns instead of solid colors
-    fillStyle: 'directional' // Type of fill: 'directional', 'oilpaint'
+    animate: false,       // Sketch the chart in when it is first drawn
+    animationDuration: 1000, // Time taken to sweep around the whole pie, in milliseconds
+    animationEasing: 'easeCubicInOut', // Name of a d3 easing function, or an easing function
+    animationStagger: 150, // Pause between slices, in milliseconds
+    animateUpdates: true, // Tween the slices to new data instead of redrawing at once
+    transitionDuration: 500 // Duration of the update transition in milliseconds
 };
 
+// Font size of the slice labels in pixels
+const SLICE_LABEL_SIZE = 14;
+
 /**
  * Add hand-drawn jitter to an SVG arc
  * @param {Object} d - Data object for the arc
  * @param {Function} arc - D3 arc generator function
  * @param {Number} jitter - Amount of jitter to add
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} Jittered path string
  */
-function handDrawnArc(d, arc, jitter) {
+function handDrawnArc(d, arc, jitter, random = Math.random) {
     const originalPath = arc(d);
 
-    // Create temp SVG to get points along the path
-    const tempSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', originalPath);
-    tempSvg.appendChild(path);
-    document.body.appendChild(tempSvg);
-
-    const length = path.getTotalLength();
+    // Measure the arc outline without a live DOM so this also works headless
+    const path = createPathSampler(originalPath);
+    const length = path.length;
     const numPoints = Math.max(20, Math.floor(length / 5)); // More points for longer arcs
     let points = [];
 
@@ -60,15 +84,12 @@ function handDrawnArc(d, arc, jitter) {
         const point = path.getPointAtLength(length * i / numPoints);
 
         // Add random jitter
-        point.x += (Math.random() - 0.5) * jitter;
-        point.y += (Math.random() - 0.5) * jitter;
+        point.x += (random() - 0.5) * jitter;
+        point.y += (random() - 0.5) * jitter;
 
         points.push(point);
     }
 
-    // Clean up temporary SVG
-    document.body.removeChild(tempSvg);
-
     // Create a new line generator for the jittered points
     const handDrawnLine = d3.line()
         .x(d => d.x)
@@ -78,46 +99,129 @@ function handDrawnArc(d, arc, jitter) {
     return handDrawnLine(points);
 }
 
+/**
+ * Spread outside labels vertically so neighbouring labels do not overlap
+ * Labels keep their order and move as little as possible within the limits
+ * @param {Array} labels - Labels with a y position, sorted from top to bottom
+ * @param {Number} gap - Minimum vertical distance between labels
+ * @param {Number} limit - Largest distance from the center a label may move to
+ */
+function spreadLabels(labels, gap, limit) {
+    // Push overlapping labels down
+    for (let i = 1; i < labels.length; i++) {
+        labels[i].y = Math.max(labels[i].y, labels[i - 1].y + gap);
+    }
+
+    // Pull them back up when the last one ran past the bottom
+    if (labels.length && labels[labels.length - 1].y > limit) {
+        labels[labels.length - 1].y = limit;
+
+        for (let i = labels.length - 2; i >= 0; i--) {
+            labels[i].y = Math.min(labels[i].y, labels[i + 1].y - gap);
+        }
+    }
+
+    // Keep the first label inside the top, even if the labels then overlap
+    labels.forEach(label => {
+        label.y = Math.max(label.y, -limit);
+    });
+}
+
 /**
  * Create handwritten-style pie chart
  * @param {String} selector - CSS selector for container element
  * @param {Object} data - Chart data with labels and values
  * @param {Object} config - Chart configuration
- * @returns {Function} Cleanup function
+ * @returns {Object} Chart instance with update, resize, getData and destroy methods
  */
 export function createPieChart(selector, data, config = {}) {
-    const settings = { ...defaultConfig, ...config };
+    return createChartInstance(selector, data, config, defaultConfig, renderPieChart);
+}
+
+/**
+ * Draw the pie chart into a chart container
+ * @param {Object} container - D3 selection of the chart container
+ * @param {Array} data - Chart data with labels and values
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} context - Chart instance context with the unique def ID prefix
+ * @returns {Function} Teardown function
+ */
+function renderPieChart(container, data, settings, context) {
     const {
-        width, height, margin, innerRadius, padAngle, cornerRadius,
+        width, height, innerRadius, padAngle, cornerRadius,
         fontFamily, handDrawnEffect, handDrawnJitter,
-        strokeLinecap, strokeLinejoin, tooltipBgColor, tooltipTextColor,
-        tooltipBorderColor, tooltipBorderWidth, tooltipBorderRadius,
-        tooltipOpacity, legendBorder, valueFormat, useScribbleFill, fillStyle
+        strokeLinecap, strokeLinejoin, tooltipBgColor, tooltipBorderColor, tooltipTextColor,
+        tooltipBorderRadius, valueFormat, useScribbleFill, fillStyle, seed, sliceStrokeColor,
+        sliceLabels, sliceLabelFormat, minInsideLabelAngle, centerLabel
     } = settings;
 
-    // Calculate radius based on available space
-    const radius = Math.min(width - margin.left - margin.right, height - margin.top - margin.bottom) / 2;
+    // Random source for the shared hand-drawn parts, reproducible when seeded
+    const random = createRandom(seed);
 
-    // Create container div with scoped class
-    const container = d3.select(selector)
-        .append('div')
-        .attr('class', 'handwritten-graph-container');
+    // Calculate total for percentage, hidden slices do not count
+    const total = d3.sum(data, (d, i) => (context.isHidden(i) ? 0 : d.value));
 
-    // Create SVG
-    const svg = container
+    // Slice label texts, measured below to leave room for outside labels
+    const labelTexts = data.map((d, i) => sliceLabelFormat({
+        label: d.label,
+        value: d.value,
+        percentage: total ? (d.value / total) * 100 : 0
+    }, i));
+    const hasSliceLabels = sliceLabels === 'inside' || sliceLabels === 'outside';
+
+    // Create SVG, the pie area gives up room for the titles and the legend
+    const root = container
         .append('svg')
         .attr('width', width)
-        .attr('height', height)
+        .attr('height', height);
+
+    let outsideLabelWidth = 0;
+    if (hasSliceLabels) {
+        const measurer = createTextMeasurer(root, { fontFamily, fontSize: SLICE_LABEL_SIZE });
+        outsideLabelWidth = d3.max(labelTexts, text => measurer.measure(text)) || 0;
+        measurer.remove();
+    }
+
+    // Hidden slices only show their label in the legend
+    const legendEntries = data.map((d, i) => ({
+        label: d.label,
+        detail: context.isHidden(i) ? '' : `(${total ? ((d.value / total) * 100).toFixed(1) : '0.0'}%)`
+    }));
+
+    const titleSpace = getTitleSpace(settings, { axes: false });
+    const { layout: pieArea, legend: legendLayout } = placeLegend(root, legendEntries, {
+        settings,
+        defaults: defaultConfig.legend,
+        layout: {
+            width: width - settings.margin.left - settings.margin.right,
+            height: height - settings.margin.top - settings.margin.bottom - titleSpace.top,
+            margin: { ...settings.margin, top: settings.margin.top + titleSpace.top }
+        },
+        outer: titleSpace
+    });
+    const { margin, width: availableWidth, height: availableHeight } = pieArea;
+    const center = { x: margin.left + availableWidth / 2, y: margin.top + availableHeight / 2 };
+
+    // Calculate radius based on available space
+    const radius = hasSliceLabels
+        ? Math.max(20, Math.min(availableHeight / 2 - 10, availableWidth / 2 - outsideLabelWidth - 30))
+        : Math.min(availableWidth, availableHeight) / 2;
+
+    // Outside labels sit just beyond the leader line elbows
+    const labelRadius = radius + 25;
+
+    const svg = root
         .append('g')
-        .attr('transform', `translate(${width / 2 - margin.right / 2 + margin.left / 2}, ${height / 2})`);
+        .attr('transform', `translate(${center.x}, ${center.y})`);
+
+    drawTitles(root, settings, { width, height });
 
     // Create SVG defs for filters
     const defs = svg.append('defs');
 
     // Add xkcdify filter if hand-drawn effect is enabled
-    if (handDrawnEffect) {
-        createXkcdFilter(defs);
-    }
+    const filterId = `${context.id}-xkcdify`;
+    const filter = handDrawnEffect ? createXkcdFilter(defs, filterId) : null;
 
     // Create pie layout
     const pie = d3.pie()
@@ -126,15 +230,20 @@ export function createPieChart(selector, data, config = {}) {
         .sort(null); // Don't sort, use order given in data
 
     // Generate colors if not provided in data
-    const color = d3.scaleOrdinal(d3.schemeCategory10);
+    const color = d3.scaleOrdinal(settings.colors);
 
     // Process data, ensuring colors are assigned
     const processedData = data.map((d, i) => ({
         label: d.label,
         value: d.value,
-        color: d.color || color(i)
+        color: d.color || color(i),
+        index: i,
+        key: getSeriesKey(d, i, data)
     }));
 
+    // Hidden slices are left out so the remaining slices fill the pie
+    const visibleData = processedData.filter(d => !context.isHidden(d.index));
+
     // Create scribble pattern fills if enabled
     let fillPatterns = [];
     if (useScribbleFill) {
@@ -143,9 +252,9 @@ export function createPieChart(selector, data, config = {}) {
 
         // Generate pattern definitions
         if (fillStyle === 'oilpaint') {
-            fillPatterns = createOilPaintPatternSet(defs, colors);
+            fillPatterns = createOilPaintPatternSet(defs, colors, random, `${context.id}-oil-paint`);
         } else {
-            fillPatterns = createScribblePatternSet(defs, colors);
+            fillPatterns = createScribblePatternSet(defs, colors, random, `${context.id}-scribble-pattern`);
         }
     }
 
@@ -157,148 +266,110 @@ export function createPieChart(selector, data, config = {}) {
 
     // Create arcs
     const arcs = svg.selectAll('.arc')
-        .data(pie(processedData))
+        .data(pie(visibleData))
         .enter()
         .append('g')
         .attr('class', 'arc');
 
-    // Add path for each arc
+    // Add path for each arc, every slice wobbles on its own so it keeps its look when others change
     arcs.append('path')
+        .attr('data-key', d => `slice:${d.data.key}`)
         .attr('d', d => {
             if (handDrawnEffect) {
-                return handDrawnArc(d, arc, handDrawnJitter);
+                return handDrawnArc(d, arc, handDrawnJitter, createRandom(`${seed}:${d.data.key}`));
             } else {
                 return arc(d);
             }
         })
-        .attr('fill', (d, i) => {
+        .attr('fill', d => {
             if (useScribbleFill && fillPatterns.length > 0) {
-                return fillPatterns[i % fillPatterns.length];
+                return fillPatterns[d.data.index % fillPatterns.length];
             } else {
                 return d.data.color;
             }
         })
-        .attr('stroke', 'white')
+        .style('stroke', sliceStrokeColor)
         .attr('stroke-width', 1)
         .attr('stroke-linecap', strokeLinecap)
         .attr('stroke-linejoin', strokeLinejoin)
-        .attr('filter', handDrawnEffect ? 'url(#xkcdify)' : null);
-
-    // Calculate total for percentage
-    const total = d3.sum(processedData, d => d.value);
-
-    // Add Legend
-    const legendGroup = svg.append('g')
-        .attr('class', 'legend');
-
-    // Calculate total height needed for the legend
-    const legendItemHeight = processedData.length > 6 ? 16 : 20; // Reduce item height for many items
-    const legendTotalHeight = processedData.length * legendItemHeight + 10;
-
-    // Calculate approximate legend width - with a more accurate character width estimate
-    // and ensuring minimum and maximum constraints
-    const avgCharWidth = 6; // Average character width in pixels
-    const maxLabelLength = d3.max(processedData, d => d.label.length);
-    const percentageWidth = 40; // Width needed for the percentage part
-    const colorSquareWidth = 25; // Width for color square and padding
-
-    const calculatedWidth = Math.min(
-        250, // Maximum width
-        Math.max(
-            100, // Minimum width
-            maxLabelLength * avgCharWidth + percentageWidth + colorSquareWidth
-        )
-    );
-
-    const legendWidth = calculatedWidth;
-
-    // Position legend to the right of the pie chart, outside the pie area
-    const legendX = radius + 30; // Position to the right of the pie with some padding
-    const legendY = -legendTotalHeight / 2; // Center vertically
-
-    // Set legend position
-    legendGroup.attr('transform', `translate(${legendX}, ${legendY})`);
-
-    // Create legend background if border is enabled
-    if (legendBorder) {
-        // Add generous padding to ensure the border surrounds all text completely
-        const borderPadding = {
-            left: 10,
-            right: 15,
-            top: 8,
-            bottom: 8
-        };
-
-        const borderWidth = legendWidth + borderPadding.left + borderPadding.right;
-        const borderHeight = legendTotalHeight + borderPadding.top + borderPadding.bottom;
-
-        legendGroup.append('path')
-            .attr('d', createHandDrawnRect(
-                -borderPadding.left,
-                -borderPadding.top,
-                borderWidth,
-                borderHeight,
-                handDrawnJitter
-            ))
-            .attr('fill', tooltipBgColor)
-            .attr('fill-opacity', tooltipOpacity)
-            .attr('stroke', tooltipBorderColor)
-            .attr('stroke-width', tooltipBorderWidth)
-            .attr('filter', handDrawnEffect ? 'url(#xkcdify)' : null);
+        .attr('filter', filter);
+
+    // Add the legend, clicking an entry hides or shows its slice
+    const legendFills = processedData.map((d, i) => (useScribbleFill && fillPatterns.length > 0 ? fillPatterns[i % fillPatterns.length] : d.color));
+    const legendGroup = drawLegend(svg, legendLayout, legendFills, {
+        origin: center,
+        settings,
+        filter,
+        context
+    });
+
+    // Add slice labels and the donut center label
+    if (hasSliceLabels) {
+        drawSliceLabels(svg, arcs.data(), {
+            arc, radius, labelRadius, texts: labelTexts, settings, random,
+            limit: availableHeight / 2 + Math.min(margin.top, margin.bottom) - 10
+        });
     }
 
-    // Add legend entries
-    processedData.forEach((d, i) => {
-        // Calculate legend item position
-        const itemY = i * legendItemHeight;
-
-        const legendEntry = legendGroup.append('g')
-            .attr('transform', `translate(0, ${itemY})`);
-
-        legendEntry.append('rect')
-            .attr('x', handDrawnEffect ? (Math.random() - 0.5) * 2 : 0)
-            .attr('y', handDrawnEffect ? (Math.random() - 0.5) * 2 : 0)
-            .attr('width', 8)
-            .attr('height', 8)
-            .attr('fill', useScribbleFill && fillPatterns.length > 0 ? fillPatterns[i % fillPatterns.length] : d.color)
-            .attr('rx', 2)
-            .attr('ry', 2)
-            .attr('filter', handDrawnEffect ? 'url(#xkcdify)' : null);
-
-        // Calculate maximum label length based on available width
-        const maxChars = Math.max(10, Math.min(30, Math.floor((legendWidth - 50) / 6)));
-
-        // Truncate long labels if necessary
-        let label = d.label;
-        if (label.length > maxChars) {
-            label = label.substring(0, maxChars - 3) + '...';
-        }
+    if (innerRadius > 0 && centerLabel !== null && centerLabel !== undefined) {
+        drawCenterLabel(svg, centerLabel === 'total' ? valueFormat(total) : centerLabel, {
+            caption: centerLabel === 'total' ? 'Total' : null,
+            innerRadius,
+            settings,
+            random
+        });
+    }
 
-        // Format the percentage
-        const percentage = ((d.value / total) * 100).toFixed(1);
-        const displayText = `${label} (${percentage}%)`;
+    // Sketch the chart in, slices sweep around one after another and are hatched in behind
+    const animation = getEntranceAnimation(settings, context, container.node().ownerDocument);
+    if (animation) {
+        const { duration, ease, stagger } = animation;
+        const slices = arcs.data();
+        const sweepTime = angle => timeToReach(ease, angle / (2 * Math.PI)) * duration;
+        const sliceDelay = new Map(slices.map((d, i) => [d.data.index, sweepTime(d.startAngle) + i * stagger]));
+        const sweepEnd = duration + Math.max(0, slices.length - 1) * stagger;
+
+        // Wedge a little wider than the slice so the wobbly outline is never cut off
+        const angleMargin = padAngle + 0.05;
+        const wedge = d3.arc()
+            .innerRadius(0)
+            .outerRadius(radius + handDrawnJitter * 2 + 15);
+
+        arcs.each(function (d) {
+            const clipId = `${context.id}-sweep-${d.data.index}`;
+            const clipPath = defs.append('clipPath')
+                .attr('id', clipId);
+            const slice = d3.select(this)
+                .attr('clip-path', `url(#${clipId})`);
+            const startAngle = d.startAngle - angleMargin;
+            const endAngle = d3.interpolate(startAngle, d.endAngle + angleMargin);
+
+            clipPath.append('path')
+                .attr('d', wedge({ startAngle, endAngle: startAngle }))
+                .transition('entrance')
+                .delay(sliceDelay.get(d.data.index))
+                .duration(Math.max(1, sweepTime(d.endAngle) - sweepTime(d.startAngle)))
+                .ease(d3.easeLinear)
+                .attrTween('d', () => t => wedge({ startAngle, endAngle: endAngle(t) }))
+                .on('end', () => {
+                    slice.attr('clip-path', null);
+                    clipPath.remove();
+                });
+        });
 
-        // Add the text with adaptive font size if necessary
-        const textElement = legendEntry.append('text')
-            .attr('x', 15 + (handDrawnEffect ? (Math.random() - 0.5) * 2 : 0))
-            .attr('y', 8 + (handDrawnEffect ? (Math.random() - 0.5) * 2 : 0))
-            .text(displayText)
-            .style('font-family', fontFamily)
-            .style('fill', tooltipTextColor)
-            .attr('alignment-baseline', 'middle');
+        hatchPatternsIn(defs, animation, index => (sliceDelay.get(index) || 0) + duration / 4);
 
-        // Set font size - smaller for charts with limited space or many items
-        const fontSize = processedData.length > 6 || legendWidth < 120 ? 12 : 14;
-        textElement.style('font-size', `${fontSize}px`);
-    });
+        // Trace the legend border, then let the entries and labels appear
+        sketchLegendIn(legendGroup, animation);
+        fadeIn(svg.selectAll('.slice-labels, .center-label'), { duration: duration / 2, ease }, sweepEnd);
+    }
 
     // Create tooltip instance (initially hidden)
     let tooltip = null;
 
-    // Add hover events to the arcs
-    arcs.on('mouseover', function (event, d) {
-        // Slightly pull out the segment when hovered
-        d3.select(this).transition()
+    // Show the tooltip for a slice and pull the slice out slightly
+    function showSlice(element, d, position) {
+        d3.select(element).transition()
             .duration(200)
             .attr('transform', function () {
                 // Calculate center of arc to determine direction to pull
@@ -319,77 +390,305 @@ export function createPieChart(selector, data, config = {}) {
             text: `Percentage: ${percentage}%`
         }];
 
-        // Get mouse position relative to the chart
-        const svgNode = svg.node();
-        const svgRect = svgNode.getBoundingClientRect();
-        const mouseX = event.clientX - svgRect.left - width / 2;
-        const mouseY = event.clientY - svgRect.top - height / 2;
-
         if (!tooltip) {
             tooltip = new XkcdTooltip({
                 parent: svg,
                 title: d.data.label,
                 items: tooltipItems,
-                position: {
-                    type: 'auto',
-                    x: mouseX,
-                    y: mouseY
-                },
+                position,
                 unxkcdify: !handDrawnEffect,
+                filterId,
                 backgroundColor: tooltipBgColor,
                 strokeColor: tooltipBorderColor,
+                textColor: tooltipTextColor,
                 fontFamily,
                 chartWidth: width,
                 chartHeight: height
             });
-            tooltip.show();
         } else {
             tooltip.update({
                 title: d.data.label,
                 items: tooltipItems,
-                position: {
-                    type: 'auto',
-                    x: mouseX,
-                    y: mouseY
-                }
+                position
             });
-            tooltip.show();
+        }
+
+        tooltip.show();
+
+        return { title: d.data.label, items: tooltipItems };
+    }
+
+    // Hide the tooltip and put the slice back
+    function hideSlice(element) {
+        d3.select(element).transition()
+            .duration(200)
+            .attr('transform', 'translate(0, 0)');
+
+        if (tooltip) {
+            tooltip.hide();
+        }
+    }
+
+    // Get the pointer position relative to the pie center
+    function getPosition(event) {
+        const [x, y] = d3.pointer(event, svg.node());
+
+        return { type: 'auto', x, y };
+    }
+
+    // Slice a tap or drag points at, found by its angle around the center and its
+    // distance from it, dragging off the pie or into the donut hole picks nothing
+    function findSlice({ x, y }) {
+        const distance = Math.hypot(x, y);
+        if (distance < innerRadius - TOUCH_REACH || distance > radius + TOUCH_REACH) {
+            return undefined;
+        }
+
+        const angle = (Math.atan2(x, -y) + 2 * Math.PI) % (2 * Math.PI);
+        return arcs.nodes().find(node => {
+            const d = d3.select(node).datum();
+            return angle >= d.startAngle && angle < d.endAngle;
+        });
+    }
+
+    // Slice pinned open by a tap
+    let pinned = null;
+
+    function unpin() {
+        if (pinned) {
+            hideSlice(pinned);
+            pinned = null;
+        }
+    }
+
+    // A mouse shows the tooltip on hover, a tap pins it and dragging moves it between slices
+    arcs.on('pointerover', function (event, d) {
+        if (!isTouchPointer(event)) {
+            showSlice(this, d, getPosition(event));
         }
     })
-        .on('mousemove', function (event) {
+        .on('pointermove', function (event) {
             // Update tooltip position
-            if (tooltip) {
-                // Get mouse position relative to the chart
-                const svgNode = svg.node();
-                const svgRect = svgNode.getBoundingClientRect();
-                const mouseX = event.clientX - svgRect.left - width / 2;
-                const mouseY = event.clientY - svgRect.top - height / 2;
-
-                tooltip.update({
-                    position: {
-                        type: 'auto',
-                        x: mouseX,
-                        y: mouseY
-                    }
-                });
+            if (tooltip && !isTouchPointer(event)) {
+                tooltip.update({ position: getPosition(event) });
+            }
+        })
+        .on('pointerout', function (event) {
+            if (!isTouchPointer(event)) {
+                hideSlice(this);
             }
         })
-        .on('mouseout', function () {
-            // Reset segment position
-            d3.select(this).transition()
-                .duration(200)
-                .attr('transform', 'translate(0, 0)');
-
-            // Hide tooltip
-            if (tooltip) {
-                tooltip.hide();
+        .on('pointerdown', function (event, d) {
+            if (isTouchPointer(event)) {
+                if (pinned !== this) {
+                    unpin();
+                }
+
+                pinned = this;
+                showSlice(this, d, getPosition(event));
             }
         });
 
-    // Return a cleanup function to remove tooltip elements when chart is destroyed
-    return function cleanup() {
+    svg.on('pointermove.scrub', event => {
+        if (!pinned || !isTouchPointer(event)) {
+            return;
+        }
+
+        const position = getPosition(event);
+        const slice = findSlice(position) || pinned;
+
+        if (slice !== pinned) {
+            hideSlice(pinned);
+            pinned = slice;
+        }
+
+        showSlice(pinned, d3.select(pinned).datum(), position);
+    });
+
+    // Tapping anywhere else dismisses the pinned tooltip
+    const doc = svg.node().ownerDocument;
+    d3.select(doc).on(`pointerdown.${context.id}`, event => {
+        if (pinned && !arcs.nodes().some(node => node.contains(event.target))) {
+            unpin();
+        }
+    });
+
+    // Step through the slices with the keyboard, the tooltip sits on the slice
+    makeChartAccessible(container, {
+        id: context.id,
+        settings,
+        type: innerRadius > 0 ? 'Donut chart' : 'Pie chart',
+        names: data.map(d => d.label),
+        hint: 'Use the arrow keys to move between slices.',
+        navigation: {
+            targets: arcs.nodes(),
+            show(element) {
+                const d = d3.select(element).datum();
+                const [x, y] = arc.centroid(d);
+                return showSlice(element, d, { type: 'auto', x, y });
+            },
+            hide: hideSlice
+        },
+        getTable: () => ({
+            columns: ['Label', 'Value', 'Percentage'],
+            rows: visibleData.map(d => [d.label, valueFormat(d.value), `${((d.value / total) * 100).toFixed(1)}%`])
+        })
+    });
+
+    // Return a teardown function to remove tooltip elements before a redraw
+    return function teardown() {
+        d3.select(doc).on(`pointerdown.${context.id}`, null);
+
         if (tooltip) {
             tooltip.svg.remove();
         }
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Draw slice labels inside large slices or outside with hand-drawn leader lines
+ * @param {Object} svg - D3 selection of the chart group, centered on the pie
+ * @param {Array} slices - Pie layout slices
+ * @param {Object} options - Label options
+ * @param {Function} options.arc - Arc generator of the slices
+ * @param {Number} options.radius - Pie radius
+ * @param {Number} options.labelRadius - Distance from the center to the outside labels
+ * @param {Array} options.texts - Label text per slice
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {Function} options.random - Random number generator returning values in [0, 1)
+ * @param {Number} options.limit - Largest vertical distance from the center for outside labels
+ */
+function drawSliceLabels(svg, slices, { arc, radius, labelRadius, texts, settings, random, limit }) {
+    const {
+        sliceLabels, minInsideLabelAngle, fontFamily, tooltipTextColor, tooltipBgColor,
+        handDrawnEffect, handDrawnJitter, strokeLinecap
+    } = settings;
+    const wobble = amount => (handDrawnEffect ? (random() - 0.5) * amount : 0);
+
+    const labelGroup = svg.append('g')
+        .attr('class', 'slice-labels')
+        .style('pointer-events', 'none');
+
+    const outside = [];
+
+    slices.forEach(d => {
+        const text = texts[d.data.index];
+
+        if (!text || d.endAngle === d.startAngle) {
+            return;
+        }
+
+        // Large slices fit their label inside when inside labels are requested
+        if (sliceLabels === 'inside' && d.endAngle - d.startAngle >= minInsideLabelAngle) {
+            const [cx, cy] = arc.centroid(d);
+
+            labelGroup.append('text')
+                .attr('class', 'slice-label slice-label-inside')
+                .attr('data-key', `slice-label:${d.data.key}`)
+                .attr('x', cx + wobble(2))
+                .attr('y', cy + wobble(2))
+                .attr('text-anchor', 'middle')
+                .attr('dominant-baseline', 'middle')
+                .attr('transform', `rotate(${wobble(6)}, ${cx}, ${cy})`)
+                .text(text)
+                .style('font-family', fontFamily)
+                .style('font-size', `${SLICE_LABEL_SIZE}px`)
+                .style('fill', tooltipTextColor)
+                .style('stroke', tooltipBgColor)
+                .style('stroke-width', 3)
+                .style('paint-order', 'stroke');
+            return;
+        }
+
+        const angle = (d.startAngle + d.endAngle) / 2;
+        const right = Math.sin(angle) >= 0;
+
+        outside.push({
+            key: d.data.key,
+            text,
+            right,
+            anchor: { x: Math.sin(angle) * (radius + 4), y: -Math.cos(angle) * (radius + 4) },
+            elbow: { x: Math.sin(angle) * (radius + 15), y: -Math.cos(angle) * (radius + 15) },
+            y: -Math.cos(angle) * (radius + 15)
+        });
+    });
+
+    // Spread each side separately so small neighbouring slices do not overlap
+    [true, false].forEach(side => {
+        const labels = outside.filter(label => label.right === side).sort((a, b) => a.y - b.y);
+        spreadLabels(labels, 16, limit);
+    });
+
+    outside.forEach(label => {
+        const direction = label.right ? 1 : -1;
+        const endX = direction * labelRadius;
+        const elbowX = Math.abs(label.elbow.x) > labelRadius - 5 ? endX - direction * 5 : label.elbow.x;
+        const pathString = `M${label.anchor.x},${label.anchor.y}L${elbowX},${label.y}L${endX},${label.y}`;
+
+        labelGroup.append('path')
+            .attr('class', 'leader-line')
+            .attr('data-key', `leader-line:${label.key}`)
+            .attr('d', handDrawnEffect ? addHandDrawnEffect(pathString, handDrawnJitter / 2, 20, random) : pathString)
+            .attr('fill', 'none')
+            .style('stroke', tooltipTextColor)
+            .attr('stroke-width', 1.5)
+            .attr('stroke-linecap', strokeLinecap);
+
+        labelGroup.append('text')
+            .attr('class', 'slice-label slice-label-outside')
+            .attr('data-key', `slice-label:${label.key}`)
+            .attr('x', endX + direction * 4 + wobble(2))
+            .attr('y', label.y + wobble(2))
+            .attr('text-anchor', label.right ? 'start' : 'end')
+            .attr('dominant-baseline', 'middle')
+            .text(label.text)
+            .style('font-family', fontFamily)
+            .style('font-size', `${SLICE_LABEL_SIZE}px`)
+            .style('fill', tooltipTextColor);
+    });
+}
+
+/**
+ * Draw handwritten text in the hole of a donut chart
+ * @param {Object} svg - D3 selection of the chart group, centered on the pie
+ * @param {String} text - Main text
+ * @param {Object} options - Label options
+ * @param {String} options.caption - Smaller text under the main text, none when null
+ * @param {Number} options.innerRadius - Radius of the donut hole
+ * @param {Object} options.settings - Resolved chart configuration
+ * @param {Function} options.random - Random number generator returning values in [0, 1)
+ */
+function drawCenterLabel(svg, text, { caption, innerRadius, settings, random }) {
+    const { fontFamily, tooltipTextColor, handDrawnEffect } = settings;
+
+    // Scale the text with the hole and tilt it slightly like handwriting
+    const fontSize = Math.max(12, Math.min(32, innerRadius / 2.5));
+    const tilt = handDrawnEffect ? (random() - 0.5) * 6 : 0;
+
+    const centerGroup = svg.append('g')
+        .attr('class', 'center-label')
+        .attr('transform', `rotate(${tilt})`)
+        .style('pointer-events', 'none');
+
+    centerGroup.append('text')
+        .attr('class', 'center-label-text')
+        .attr('y', caption ? -fontSize * 0.2 : 0)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .text(text)
+        .style('font-family', fontFamily)
+        .style('font-size', `${fontSize}px`)
+        .style('fill', tooltipTextColor);
+
+    if (caption) {
+        centerGroup.append('text')
+            .attr('class', 'center-label-caption')
+            .attr('y', fontSize * 0.8)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .text(caption)
+            .style('font-family', fontFamily)
+            .style('font-size', `${Math.round(fontSize / 2)}px`)
+            .style('fill', tooltipTextColor);
+    }
+}
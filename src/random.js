@@ -0,0 +1,49 @@
+/**
+ * Seedable pseudo random number generator
+ * Used to make the hand-drawn jitter reproducible between renders
+ */
+
+/**
+ * Convert a seed to a 32-bit unsigned integer
+ * Strings are hashed with FNV-1a so any text can be used as a seed
+ * @param {Number|String} seed - Seed value
+ * @returns {Number} 32-bit unsigned integer seed
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    let hash = 2166136261;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a random number generator
+ * Returns Math.random when no seed is given, otherwise a mulberry32
+ * generator that yields the same sequence for the same seed
+ * @param {Number|String} seed - Optional seed value
+ * @returns {Function} Function returning numbers in the range [0, 1)
+ */
+export function createRandom(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.random;
+    }
+
+    let state = normalizeSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
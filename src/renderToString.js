@@ -0,0 +1,56 @@
+/**
+ * Headless chart rendering
+ * Draws a chart into a detached element and serializes it to a standalone SVG string,
+ * so charts can be generated on a server. Outside the browser the chart is drawn with
+ * jsdom, web workers have no DOM and are not supported
+ */
+import { createGraph } from './graph';
+import { createPieChart } from './pie-chart';
+import { createBarChart } from './bar-chart';
+import { createScatterChart } from './scatter-chart';
+import { serializeChartSvg } from './exportChart';
+import { withExactIds } from './chartInstance';
+
+// Chart factories by chart type name
+const chartFactories = {
+    line: createGraph,
+    pie: createPieChart,
+    bar: createBarChart,
+    scatter: createScatterChart
+};
+
+/**
+ * Render a chart to a self-contained SVG string
+ * @param {String} type - Chart type: 'line', 'pie', 'bar' or 'scatter'
+ * @param {*} data - Chart data in the format of the chart type
+ * @param {Object} config - Chart configuration
+ * @param {Object} config.document - Document used to build the chart, a jsdom document
+ * outside the browser. Defaults to the global document
+ * @param {String} config.id - Prefix for the SVG element IDs, used as given so the same id,
+ * seed and data always give the same markup
+ * @returns {String} SVG markup with the library styles and font embedded
+ */
+export function renderToString(type, data, config = {}) {
+    const { document: providedDocument, ...chartConfig } = config;
+    const doc = providedDocument || (typeof document !== 'undefined' ? document : null);
+    const factory = chartFactories[type];
+
+    if (!factory) {
+        throw new Error(`Handwritten graph: unknown chart type "${type}", expected one of ${Object.keys(chartFactories).join(', ')}`);
+    }
+
+    if (!doc) {
+        throw new Error('Handwritten graph: renderToString needs a DOM document, outside the browser install jsdom and pass a jsdom document as config.document');
+    }
+
+    // Draw into a detached element, a fixed size is used since nothing can be measured
+    // and the chart is drawn at once since the string is taken right away
+    const host = doc.createElement('div');
+    const chart = withExactIds(() => factory(host, data, { ...chartConfig, responsive: false, animate: false }));
+
+    try {
+        return serializeChartSvg(host.querySelector('svg'));
+    } finally {
+        chart.destroy();
+    }
+}
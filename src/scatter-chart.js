@@ -0,0 +1,323 @@
+/**
+ * Hand-drawn scatter and bubble chart library using D3.js
+ * This draws unconnected x/y points as sketchy circles, with optional
+ * scribble filled bubbles sized by a value and a tooltip for each point
+ */
+import * as d3 from 'd3';
+import { createHandDrawnCircle, createXkcdFilter } from './handDrawnUtils';
+import { createScribblePatternSet, createOilPaintPatternSet } from './scribbleFills';
+import {
+    drawGrid, drawAxes, drawZeroBaseline, bindSeriesTooltip,
+    computeValueDomain, getMarginFrame, getSeriesKey
+} from './chartComponents';
+import { createChartInstance } from './chartInstance';
+import { createRandom } from './random';
+import { makeChartAccessible } from './accessibility';
+import { getTitleSpace, reserveTitleSpace, drawTitles } from './titles';
+import { placeLegend, drawLegend } from './legend';
+import {
+    getEntranceAnimation, drawPathsIn, fillIn, sketchAxesIn, sketchLegendIn, hatchPatternsIn, timeToReach
+} from './animation';
+
+// Default configuration
+const defaultConfig = {
+    width: 960,
+    height: 500,
+    margin: { top: 10, right: 10, bottom: 40, left: 50 },
+    responsive: false,    // Follow the container width and re-layout when it resizes
+    maintainAspectRatio: true, // Keep the width/height ratio in responsive mode, otherwise fill the container height
+    theme: 'classic',     // Theme preset name, or a theme object overriding a preset (see themes.js)
+    title: null,          // Chart title, the plot shrinks to make room for it
+    subtitle: null,       // Smaller line of text under the title
+    titleUnderline: false, // Underline the title with a hand-drawn stroke
+    xAxisLabel: null,     // Title under the x axis
+    yAxisLabel: null,     // Title along the y axis
+    xMin: null,           // Fixed lower bound of the x axis, computed from the data when null
+    xMax: null,           // Fixed upper bound of the x axis, computed from the data when null
+    yMin: null,           // Fixed lower bound of the y axis, computed from the data when null
+    yMax: null,           // Fixed upper bound of the y axis, computed from the data when null
+    padding: 0.1,         // Fraction of the data range added around the points on both axes
+    beginAtZero: false,   // Always include zero on both axes
+    pointRadius: 5,       // Radius of points without a size
+    minBubbleRadius: 4,   // Radius of the smallest bubble
+    maxBubbleRadius: 30,  // Radius of the largest bubble
+    handDrawnEffect: true, // Toggle for hand-drawn effect
+    handDrawnJitter: 2,   // Amount of jitter for hand-drawn effect
+    axisArrows: false,    // End the hand-drawn axes in xkcd-style arrowheads
+    seed: null,           // Seed for reproducible hand-drawn jitter (random when not set)
+    id: null,             // Prefix for the chart's SVG element IDs, numbered to keep them unique
+    strokeLinecap: 'round', // Rounded line caps for hand-drawn effect
+    strokeLinejoin: 'round', // Rounded line joins for hand-drawn effect
+    tooltipBorderWidth: 2, // Tooltip border width
+    tooltipBorderRadius: 5, // Tooltip border radius
+    tooltipOpacity: 0.9,  // Tooltip background opacity
+    legend: { position: 'inside-top-right' }, // Legend position, flow and columns, or false for none (see legend.js)
+    legendBorder: false,  // Whether to show border around legend
+    ariaLabel: null,      // Accessible name of the chart, lists the series when not set
+    ariaDescription: null, // Accessible description, explains the keyboard navigation when not set
+    dataTable: false,     // Add a visually hidden table with the data for screen readers
+    useScribbleFill: true, // Use scribble fill patterns for bubble interiors
+    animate: false,       // Sketch the chart in when it is first drawn
+    animationDuration: 1000, // Time the pen takes to cross the plot, in milliseconds
+    animationEasing: 'easeCubicInOut', // Name of a d3 easing function, or an easing function
+    animationStagger: 150, // Delay between series starting to draw, in milliseconds
+    animateUpdates: true, // Morph the chart to new data instead of redrawing it at once
+    transitionDuration: 500 // Duration of the update transition in milliseconds
+};
+
+/**
+ * Create handwritten-style scatter or bubble chart
+ * @param {String} selector - CSS selector for container element
+ * @param {Object} data - Chart data with datasets of { x, y, size } points
+ * @param {Object} config - Chart configuration
+ * @returns {Object} Chart instance with update, resize, getData and destroy methods
+ */
+export function createScatterChart(selector, data, config = {}) {
+    return createChartInstance(selector, data, config, defaultConfig, renderScatterChart, {
+        getFrame: getMarginFrame
+    });
+}
+
+/**
+ * Check whether a point has numeric coordinates
+ * @param {Object} point - Data point
+ * @returns {Boolean} True when the point can be drawn
+ */
+function isPlottable(point) {
+    return !!point && point.x !== null && point.y !== null && isFinite(point.x) && isFinite(point.y);
+}
+
+/**
+ * Check whether a point has a size and is drawn as a bubble
+ * @param {Object} point - Data point
+ * @returns {Boolean} True when the point has a numeric size
+ */
+function hasSize(point) {
+    return point.size !== null && point.size !== undefined && isFinite(point.size);
+}
+
+/**
+ * Draw the scatter chart into a chart container
+ * @param {Object} container - D3 selection of the chart container
+ * @param {Object} data - Chart data with datasets of { x, y, size } points
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} context - Chart instance context with the unique def ID prefix
+ * @returns {Function} Teardown function
+ */
+function renderScatterChart(container, data, settings, context) {
+    const {
+        xMin, xMax, yMin, yMax, padding, beginAtZero,
+        pointRadius, minBubbleRadius, maxBubbleRadius,
+        handDrawnEffect, handDrawnJitter, strokeLinecap, strokeLinejoin,
+        useScribbleFill, fillStyle, seed
+    } = settings;
+
+    // Create SVG, the plot gives up room for the titles and the legend while the chart keeps its size
+    const root = container.append('svg');
+    const { layout: { width, height, margin }, legend: legendLayout } = placeLegend(root, data.datasets, {
+        settings,
+        defaults: defaultConfig.legend,
+        layout: reserveTitleSpace(settings),
+        outer: getTitleSpace(settings)
+    });
+
+    // Random source for the shared hand-drawn parts, reproducible when seeded
+    const random = createRandom(seed);
+
+    // Hidden series draw nothing and leave the axes to the rest
+    const seriesPoints = data.datasets.map((dataset, index) => (context.isHidden(index) ? [] : dataset.data.filter(isPlottable)));
+    const allPoints = seriesPoints.flat();
+
+    const x = d3.scaleLinear()
+        .domain(computeValueDomain(allPoints.map(p => p.x), { yMin: xMin, yMax: xMax, yPadding: padding, beginAtZero }))
+        .range([0, width]);
+
+    const y = d3.scaleLinear()
+        .domain(computeValueDomain(allPoints.map(p => p.y), { yMin, yMax, yPadding: padding, beginAtZero }))
+        .range([height, 0]);
+
+    // Bubble area grows with the size value
+    const sizes = allPoints.filter(hasSize).map(p => p.size);
+    const radius = d3.scaleSqrt()
+        .domain([0, d3.max(sizes, size => Math.abs(size)) || 1])
+        .range([0, maxBubbleRadius]);
+
+    const getRadius = point => (hasSize(point)
+        ? Math.max(minBubbleRadius, radius(Math.abs(point.size)))
+        : pointRadius);
+
+    const svg = root
+        .attr('width', width + margin.left + margin.right)
+        .attr('height', height + margin.top + margin.bottom)
+        .append('g')
+        .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+    drawTitles(root, settings, {
+        width: width + margin.left + margin.right,
+        height: height + margin.top + margin.bottom,
+        plot: { x: margin.left, y: margin.top, width, height }
+    });
+
+    // Add grid lines and axes with hand-drawn styling
+    drawGrid(svg, x, y, { width, height, settings });
+    drawAxes(svg, x, y, { height, settings });
+    drawZeroBaseline(svg, y, { width, settings, random });
+
+    // Create SVG defs for filters and fill patterns
+    const defs = svg.append('defs');
+
+    // Add xkcdify filter if hand-drawn effect is enabled
+    const filterId = `${context.id}-xkcdify`;
+    const filter = handDrawnEffect ? createXkcdFilter(defs, filterId) : null;
+
+    // Generate colors if not provided in data
+    const color = d3.scaleOrdinal(settings.colors);
+    const colors = data.datasets.map((dataset, index) => dataset.color || color(index));
+
+    // Create scribble pattern fills for bubble interiors if enabled
+    let fillPatterns = [];
+    if (useScribbleFill && sizes.length) {
+        if (fillStyle === 'oilpaint') {
+            fillPatterns = createOilPaintPatternSet(defs, colors, random, `${context.id}-oil-paint`);
+        } else {
+            fillPatterns = createScribblePatternSet(defs, colors, random, `${context.id}-scribble-pattern`);
+        }
+    }
+
+    const pointsGroup = svg.append('g')
+        .attr('class', 'points');
+
+    // Draw large bubbles first so smaller ones stay visible on top
+    const drawOrder = seriesPoints
+        .flatMap((points, datasetIndex) => points.map((point, index) => ({ point, datasetIndex, index })))
+        .sort((a, b) => getRadius(b.point) - getRadius(a.point));
+
+    drawOrder.forEach(({ point, datasetIndex, index }) => {
+        const cx = x(point.x);
+        const cy = y(point.y);
+        const r = getRadius(point);
+        const isBubble = hasSize(point);
+        const key = `${getSeriesKey(data.datasets[datasetIndex], datasetIndex, data.datasets)}:${index}`;
+
+        // Keep small points round by limiting the jitter to their size,
+        // every point wobbles on its own so it keeps its look when others change
+        const pointPath = handDrawnEffect
+            ? createHandDrawnCircle(cx, cy, r, Math.min(handDrawnJitter, r / 2), createRandom(`${seed}:${key}`))
+            : `M${cx - r},${cy}a${r},${r} 0 1,0 ${r * 2},0a${r},${r} 0 1,0 ${-r * 2},0`;
+
+        pointsGroup.append('path')
+            .attr('class', `point point-${datasetIndex}`)
+            .attr('data-key', `point:${key}`)
+            .attr('data-dataset', datasetIndex)
+            .attr('data-index', index)
+            .attr('data-cx', cx)
+            .attr('data-cy', cy)
+            .attr('data-r', r)
+            .attr('d', pointPath)
+            .attr('fill', isBubble ? (fillPatterns[datasetIndex] || colors[datasetIndex]) : colors[datasetIndex])
+            .attr('fill-opacity', isBubble && !fillPatterns[datasetIndex] ? 0.6 : 1)
+            .attr('stroke', colors[datasetIndex])
+            .attr('stroke-width', 2)
+            .attr('stroke-linecap', strokeLinecap)
+            .attr('stroke-linejoin', strokeLinejoin)
+            .attr('filter', isBubble ? filter : null);
+    });
+
+    // Add the legend, clicking an entry hides or shows its series
+    const legend = drawLegend(svg, legendLayout, colors, {
+        origin: { x: margin.left, y: margin.top },
+        settings,
+        filter,
+        context
+    });
+
+    // Sketch the chart in, points are circled as the pen crosses the plot and then filled
+    const animation = getEntranceAnimation(settings, context, container.node().ownerDocument);
+    if (animation) {
+        const { duration, ease, stagger } = animation;
+        const stroke = { duration: Math.min(300, duration / 2), ease };
+        const penTime = function () {
+            const point = seriesPoints[+this.getAttribute('data-dataset')][+this.getAttribute('data-index')];
+            const position = Math.max(0, Math.min(1, x(point.x) / width));
+
+            return +this.getAttribute('data-dataset') * stagger + timeToReach(ease, position) * duration;
+        };
+
+        sketchAxesIn(svg, animation);
+        sketchLegendIn(legend, animation);
+        hatchPatternsIn(defs, animation, index => index * stagger + duration / 2);
+
+        const points = pointsGroup.selectAll('.point');
+        drawPathsIn(points, stroke, penTime);
+        fillIn(points, stroke, function () {
+            return penTime.call(this) + stroke.duration;
+        });
+    }
+
+    // Add hover events to the points
+    const tooltip = bindSeriesTooltip(svg, pointsGroup.selectAll('.point'), {
+        settings,
+        filterId,
+        width,
+        height,
+        getContent(element) {
+            const datasetIndex = parseInt(d3.select(element).attr('data-dataset'));
+            const index = parseInt(d3.select(element).attr('data-index'));
+            const point = seriesPoints[datasetIndex][index];
+            const itemColor = colors[datasetIndex];
+
+            const items = [
+                { color: itemColor, text: `x: ${point.x}` },
+                { color: itemColor, text: `y: ${point.y}` }
+            ];
+
+            if (hasSize(point)) {
+                items.push({ color: itemColor, text: `size: ${point.size}` });
+            }
+
+            return {
+                title: point.label || data.datasets[datasetIndex].label,
+                items
+            };
+        },
+        onShow(element) {
+            // Highlight the hovered point
+            d3.select(element).attr('stroke-width', 4);
+        },
+        onHide(element) {
+            d3.select(element).attr('stroke-width', 2);
+        }
+    });
+
+    // Step through the points from left to right with the keyboard
+    const pointNodes = pointsGroup.selectAll('.point').nodes();
+    const pointOf = node => seriesPoints[+node.getAttribute('data-dataset')][+node.getAttribute('data-index')];
+
+    makeChartAccessible(container, {
+        id: context.id,
+        settings,
+        type: 'Scatter chart',
+        names: data.datasets.map(dataset => dataset.label),
+        hint: 'Use the arrow keys to move between points from left to right.',
+        navigation: {
+            targets: pointNodes.sort((a, b) => pointOf(a).x - pointOf(b).x || pointOf(b).y - pointOf(a).y),
+            show(node) {
+                const point = pointOf(node);
+                return tooltip.show(node, { type: 'auto', x: x(point.x), y: y(point.y) });
+            },
+            hide: tooltip.hide
+        },
+        getTable: () => ({
+            columns: ['Series', 'X', 'Y', 'Size'],
+            rows: data.datasets.flatMap(dataset => dataset.data.filter(isPlottable).map(point => [
+                point.label ? `${dataset.label}: ${point.label}` : dataset.label,
+                point.x,
+                point.y,
+                hasSize(point) ? point.size : null
+            ]))
+        })
+    });
+
+    // Return a teardown function to remove tooltip elements before a redraw
+    return tooltip.remove;
+}
@@ -15,9 +15,10 @@ import * as d3 from 'd3';
  * @param {Number} width - Width of pattern tile
  * @param {Number} height - Height of pattern tile
  * @param {Number} direction - Direction of the scribble lines in degrees (0-180)
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} Pattern ID reference to use as fill
  */
-export function createDirectionalScribblePattern(defs, id, color, density = 8, width = 120, height = 120, direction = 0) {
+export function createDirectionalScribblePattern(defs, id, color, density = 8, width = 120, height = 120, direction = 0, random = Math.random) {
     // Create a unique pattern ID if none provided
     const patternId = id || `scribble-${Math.random().toString(36).substr(2, 9)}`;
 
@@ -36,7 +37,7 @@ export function createDirectionalScribblePattern(defs, id, color, density = 8, w
         .attr('fill-opacity', 0.25);
 
     // Add watercolor texture for background
-    addWatercolorTexture(pattern, width, height, color, 4);
+    addWatercolorTexture(pattern, width, height, color, 4, random);
 
     // Calculate the angle in radians
     const angleRad = (direction * Math.PI) / 180;
@@ -61,12 +62,12 @@ export function createDirectionalScribblePattern(defs, id, color, density = 8, w
         const endY = center[1] + sin * diagonalLength / 2 - cos * offset;
 
         // Create a scribble line path along this direction
-        const path = generateScribblePath([startX, startY], [endX, endY], width, height);
+        const path = generateScribblePath([startX, startY], [endX, endY], width, height, random);
 
         // Vary the stroke characteristics
-        const strokeOpacity = 0.5 + Math.random() * 0.3;
-        const strokeWidth = 1 + Math.random() * 2;
-        const strokeColor = adjustColor(color, -15 + Math.random() * 30);
+        const strokeOpacity = 0.5 + random() * 0.3;
+        const strokeWidth = 1 + random() * 2;
+        const strokeColor = adjustColor(color, -15 + random() * 30);
 
         // Create the path with oil paint/watercolor effect
         pattern.append('path')
@@ -90,9 +91,10 @@ export function createDirectionalScribblePattern(defs, id, color, density = 8, w
  * @param {Array} end - End point [x, y]
  * @param {Number} width - Pattern width (for boundary checks)
  * @param {Number} height - Pattern height (for boundary checks)
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} SVG path string
  */
-function generateScribblePath(start, end, width, height) {
+function generateScribblePath(start, end, width, height, random = Math.random) {
     // Line parameters
     const dx = end[0] - start[0];
     const dy = end[1] - start[1];
@@ -103,7 +105,7 @@ function generateScribblePath(start, end, width, height) {
 
     // Generate points along the line with natural hand-drawn wobble
     const points = [];
-    const wobbleAmount = 2 + Math.random() * 2; // Amount of perpendicular wobble
+    const wobbleAmount = 2 + random() * 2; // Amount of perpendicular wobble
 
     // Direction perpendicular to the line
     const perpX = -dy / length;
@@ -121,10 +123,10 @@ function generateScribblePath(start, end, width, height) {
         const baseY = start[1] + dy * t;
 
         // Add perpendicular wobble (hand-drawn effect)
-        const wobble = (Math.random() - 0.5) * wobbleAmount;
+        const wobble = (random() - 0.5) * wobbleAmount;
 
         // Also add some in-line wobble (varying speed of pen)
-        const speedWobble = (Math.random() - 0.5) * wobbleAmount * 0.3;
+        const speedWobble = (random() - 0.5) * wobbleAmount * 0.3;
 
         const pointX = baseX + perpX * wobble + (dx / length) * speedWobble;
         const pointY = baseY + perpY * wobble + (dy / length) * speedWobble;
@@ -150,9 +152,11 @@ function generateScribblePath(start, end, width, height) {
  * 
  * @param {Object} defs - D3 selection of SVG defs element
  * @param {Array} colors - Array of colors to create patterns for
+ * @param {Function} random - Random number generator returning values in [0, 1)
+ * @param {String} idPrefix - Prefix for the pattern IDs, unique per chart
  * @returns {Array} Array of pattern references to use as fills
  */
-export function createScribblePatternSet(defs, colors) {
+export function createScribblePatternSet(defs, colors, random = Math.random, idPrefix = 'scribble-pattern') {
     // Directions to use for different patterns (create visual variety)
     const directions = [0, 45, 90, 135, 30, 60, 120, 150];
 
@@ -161,16 +165,17 @@ export function createScribblePatternSet(defs, colors) {
         const direction = directions[index % directions.length];
 
         // Vary the density slightly
-        const density = 6 + Math.floor(Math.random() * 5);
+        const density = 6 + Math.floor(random() * 5);
 
         return createDirectionalScribblePattern(
             defs,
-            `scribble-pattern-${index}`,
+            `${idPrefix}-${index}`,
             color,
             density,
             120,
             120,
-            direction
+            direction,
+            random
         );
     });
 }
@@ -184,25 +189,26 @@ export function createScribblePatternSet(defs, colors) {
  * @param {Number} height - Pattern height
  * @param {String} color - Base color
  * @param {Number} numBlobs - Number of watercolor blobs to add
+ * @param {Function} random - Random number generator returning values in [0, 1)
  */
-function addWatercolorTexture(pattern, width, height, color, numBlobs = 3) {
+function addWatercolorTexture(pattern, width, height, color, numBlobs = 3, random = Math.random) {
     for (let i = 0; i < numBlobs; i++) {
         // Create a blob with lighter/darker variation of the base color
-        const blobColor = adjustColor(color, -20 + Math.random() * 40, 0.1 + Math.random() * 0.2);
+        const blobColor = adjustColor(color, -20 + random() * 40, 0.1 + random() * 0.2);
 
         // Random position and size
-        const cx = Math.random() * width;
-        const cy = Math.random() * height;
-        const rx = 15 + Math.random() * 30;
-        const ry = 15 + Math.random() * 30;
+        const cx = random() * width;
+        const cy = random() * height;
+        const rx = 15 + random() * 30;
+        const ry = 15 + random() * 30;
 
         // Create a watercolor blob (irregular ellipse)
-        const blobPath = createWatercolorBlob(cx, cy, rx, ry);
+        const blobPath = createWatercolorBlob(cx, cy, rx, ry, random);
 
         pattern.append('path')
             .attr('d', blobPath)
             .attr('fill', blobColor)
-            .attr('fill-opacity', 0.15 + Math.random() * 0.2)
+            .attr('fill-opacity', 0.15 + random() * 0.2)
             .attr('stroke', 'none');
     }
 }
@@ -215,9 +221,10 @@ function addWatercolorTexture(pattern, width, height, color, numBlobs = 3) {
  * @param {Object} defs - D3 selection of SVG defs element
  * @param {String} id - Unique pattern ID
  * @param {String} color - Base color for the pattern
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} Pattern ID reference to use as fill
  */
-export function createOilPaintPattern(defs, id, color) {
+export function createOilPaintPattern(defs, id, color, random = Math.random) {
     const patternId = id || `oil-paint-${Math.random().toString(36).substr(2, 9)}`;
 
     // Create a pattern with dimensions that work well for oil paint textures
@@ -238,62 +245,62 @@ export function createOilPaintPattern(defs, id, color) {
     for (let i = 0; i < 6; i++) {
         // Create color variations for richness
         // Some darker, some lighter, some with different saturation
-        const colorShift = Math.random() < 0.5 ? -20 : 15;
-        const saturationShift = Math.random() < 0.3 ? -0.15 : 0.1;
+        const colorShift = random() < 0.5 ? -20 : 15;
+        const saturationShift = random() < 0.3 ? -0.15 : 0.1;
         const blobColor = adjustColor(color, colorShift, saturationShift);
 
-        const cx = Math.random() * 120;
-        const cy = Math.random() * 120;
-        const rx = 25 + Math.random() * 50;
-        const ry = 20 + Math.random() * 40;
+        const cx = random() * 120;
+        const cy = random() * 120;
+        const rx = 25 + random() * 50;
+        const ry = 20 + random() * 40;
 
         pattern.append('path')
-            .attr('d', createWatercolorBlob(cx, cy, rx, ry))
+            .attr('d', createWatercolorBlob(cx, cy, rx, ry, random))
             .attr('fill', blobColor)
-            .attr('fill-opacity', 0.2 + Math.random() * 0.3)
+            .attr('fill-opacity', 0.2 + random() * 0.3)
             .attr('stroke', 'none');
     }
 
     // Second layer - medium watercolor blobs
     for (let i = 0; i < 8; i++) {
-        const isHighlight = Math.random() < 0.3;
+        const isHighlight = random() < 0.3;
         const colorShift = isHighlight ? 25 : -15;
         const blobColor = adjustColor(color, colorShift, isHighlight ? 0.1 : -0.1);
 
-        const cx = Math.random() * 120;
-        const cy = Math.random() * 120;
-        const rx = 10 + Math.random() * 30;
-        const ry = 8 + Math.random() * 25;
+        const cx = random() * 120;
+        const cy = random() * 120;
+        const rx = 10 + random() * 30;
+        const ry = 8 + random() * 25;
 
         pattern.append('path')
-            .attr('d', createWatercolorBlob(cx, cy, rx, ry))
+            .attr('d', createWatercolorBlob(cx, cy, rx, ry, random))
             .attr('fill', blobColor)
-            .attr('fill-opacity', 0.15 + Math.random() * 0.25)
+            .attr('fill-opacity', 0.15 + random() * 0.25)
             .attr('stroke', 'none');
     }
 
     // Third layer - small details with highlights and shadows
     for (let i = 0; i < 12; i++) {
         // Determine if this is a highlight or shadow detail
-        const isHighlight = Math.random() < 0.4;
+        const isHighlight = random() < 0.4;
         const colorShift = isHighlight ? 35 : -25;
         const blobColor = adjustColor(color, colorShift, isHighlight ? 0.15 : -0.1);
 
-        const cx = Math.random() * 120;
-        const cy = Math.random() * 120;
-        const rx = 4 + Math.random() * 12;
-        const ry = 3 + Math.random() * 10;
+        const cx = random() * 120;
+        const cy = random() * 120;
+        const rx = 4 + random() * 12;
+        const ry = 3 + random() * 10;
 
         pattern.append('path')
-            .attr('d', createWatercolorBlob(cx, cy, rx, ry))
+            .attr('d', createWatercolorBlob(cx, cy, rx, ry, random))
             .attr('fill', blobColor)
-            .attr('fill-opacity', isHighlight ? (0.2 + Math.random() * 0.3) : (0.1 + Math.random() * 0.2))
+            .attr('fill-opacity', isHighlight ? (0.2 + random() * 0.3) : (0.1 + random() * 0.2))
             .attr('stroke', 'none');
     }
 
     // Add some directional brush strokes (not cross-hatched)
     // Choose a single direction for consistency
-    const direction = Math.random() < 0.5 ? 0 : 90; // Either horizontal or vertical
+    const direction = random() < 0.5 ? 0 : 90; // Either horizontal or vertical
     const angleRad = (direction * Math.PI) / 180;
 
     // Create brush strokes in the chosen direction
@@ -316,20 +323,20 @@ export function createOilPaintPattern(defs, id, color) {
         }
 
         // Add some randomness to make it less uniform
-        startX += (Math.random() - 0.5) * 15;
-        startY += (Math.random() - 0.5) * 15;
-        endX += (Math.random() - 0.5) * 15;
-        endY += (Math.random() - 0.5) * 15;
+        startX += (random() - 0.5) * 15;
+        startY += (random() - 0.5) * 15;
+        endX += (random() - 0.5) * 15;
+        endY += (random() - 0.5) * 15;
 
         // Create a brush stroke path
-        const strokeColor = adjustColor(color, -10 + Math.random() * 20, 0);
-        const strokePath = generateBrushStroke([startX, startY], [endX, endY], 120, 120);
+        const strokeColor = adjustColor(color, -10 + random() * 20, 0);
+        const strokePath = generateBrushStroke([startX, startY], [endX, endY], 120, 120, random);
 
         pattern.append('path')
             .attr('d', strokePath)
             .attr('stroke', strokeColor)
-            .attr('stroke-width', 2 + Math.random() * 4)
-            .attr('stroke-opacity', 0.1 + Math.random() * 0.2)
+            .attr('stroke-width', 2 + random() * 4)
+            .attr('stroke-opacity', 0.1 + random() * 0.2)
             .attr('stroke-linecap', 'round')
             .attr('fill', 'none');
     }
@@ -345,9 +352,10 @@ export function createOilPaintPattern(defs, id, color) {
  * @param {Array} end - End point [x, y]
  * @param {Number} width - Pattern width (for boundary checks)
  * @param {Number} height - Pattern height (for boundary checks)
+ * @param {Function} random - Random number generator returning values in [0, 1)
  * @returns {String} SVG path string
  */
-function generateBrushStroke(start, end, width, height) {
+function generateBrushStroke(start, end, width, height, random = Math.random) {
     // Line parameters
     const dx = end[0] - start[0];
     const dy = end[1] - start[1];
@@ -358,7 +366,7 @@ function generateBrushStroke(start, end, width, height) {
 
     // Generate points along the line with natural hand-drawn wobble
     const points = [];
-    const wobbleAmount = 3 + Math.random() * 3; // Amount of perpendicular wobble
+    const wobbleAmount = 3 + random() * 3; // Amount of perpendicular wobble
 
     // Direction perpendicular to the line
     const perpX = -dy / length;
@@ -376,10 +384,10 @@ function generateBrushStroke(start, end, width, height) {
         const baseY = start[1] + dy * t;
 
         // Add perpendicular wobble (hand-drawn effect)
-        const wobble = (Math.random() - 0.5) * wobbleAmount;
+        const wobble = (random() - 0.5) * wobbleAmount;
 
         // Also add some in-line wobble (varying speed of pen)
-        const speedWobble = (Math.random() - 0.5) * wobbleAmount * 0.3;
+        const speedWobble = (random() - 0.5) * wobbleAmount * 0.3;
 
         const pointX = baseX + perpX * wobble + (dx / length) * speedWobble;
         const pointY = baseY + perpY * wobble + (dy / length) * speedWobble;
@@ -403,14 +411,17 @@ function generateBrushStroke(start, end, width, height) {
  * Create a set of oil paint patterns
  * @param {Object} defs - D3 selection of SVG defs element
  * @param {Array} colors - Array of colors to create patterns for
+ * @param {Function} random - Random number generator returning values in [0, 1)
+ * @param {String} idPrefix - Prefix for the pattern IDs, unique per chart
  * @returns {Array} Array of pattern fill references
  */
-export function createOilPaintPatternSet(defs, colors) {
+export function createOilPaintPatternSet(defs, colors, random = Math.random, idPrefix = 'oil-paint') {
     return colors.map((color, index) => {
         return createOilPaintPattern(
             defs,
-            `oil-paint-${index}`,
-            color
+            `${idPrefix}-${index}`,
+            color,
+            random
         );
     });
 }
@@ -418,7 +429,7 @@ export function createOilPaintPatternSet(defs, colors) {
 /**
  * Create an irregular blob shape that resembles a watercolor splotch
  */
-function createWatercolorBlob(cx, cy, rx, ry) {
+function createWatercolorBlob(cx, cy, rx, ry, random = Math.random) {
     const numPoints = 12; // Number of points around the ellipse
     let points = [];
 
@@ -427,7 +438,7 @@ function createWatercolorBlob(cx, cy, rx, ry) {
         const angle = (i / numPoints) * 2 * Math.PI;
 
         // Random radius variation to create irregular blob effect
-        const radiusVariation = 0.7 + Math.random() * 0.6;
+        const radiusVariation = 0.7 + random() * 0.6;
 
         const x = cx + Math.cos(angle) * rx * radiusVariation;
         const y = cy + Math.sin(angle) * ry * radiusVariation;
@@ -455,82 +466,25 @@ function createWatercolorBlob(cx, cy, rx, ry) {
  * @returns {String} Adjusted color
  */
 function adjustColor(color, brightnessDelta = 0, saturationDelta = 0) {
-    // Create a temporary element to compute RGB values
-    const tempElement = document.createElement('div');
-    tempElement.style.color = color;
-    document.body.appendChild(tempElement);
-
-    // Get computed RGB values
-    const computedColor = window.getComputedStyle(tempElement).color;
-    document.body.removeChild(tempElement);
-
-    // Parse RGB components
-    const rgbMatch = computedColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-    if (!rgbMatch) {
+    // Parse with d3 instead of computed styles so no DOM is needed
+    const hsl = d3.hsl(color);
+    if (isNaN(hsl.l)) {
         // Fallback if parsing fails
         return color;
     }
 
-    // Extract RGB values
-    let r = parseInt(rgbMatch[1], 10);
-    let g = parseInt(rgbMatch[2], 10);
-    let b = parseInt(rgbMatch[3], 10);
-
-    // Convert RGB to HSL
-    r /= 255;
-    g /= 255;
-    b /= 255;
-
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    let h, s, l = (max + min) / 2;
-
-    if (max === min) {
-        h = s = 0; // achromatic
-    } else {
-        const d = max - min;
-        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-
-        switch (max) {
-            case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-            case g: h = (b - r) / d + 2; break;
-            case b: h = (r - g) / d + 4; break;
-        }
-
-        h /= 6;
+    // Achromatic colors have no hue or saturation
+    if (isNaN(hsl.h)) {
+        hsl.h = 0;
     }
-
-    // Adjust saturation and lightness
-    s = Math.max(0, Math.min(1, s + saturationDelta));
-    l = Math.max(0, Math.min(1, l + brightnessDelta / 100));
-
-    // Convert back to RGB
-    let r1, g1, b1;
-
-    if (s === 0) {
-        r1 = g1 = b1 = l; // achromatic
-    } else {
-        const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1 / 6) return p + (q - p) * 6 * t;
-            if (t < 1 / 2) return q;
-            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-            return p;
-        };
-
-        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-        const p = 2 * l - q;
-
-        r1 = hue2rgb(p, q, h + 1 / 3);
-        g1 = hue2rgb(p, q, h);
-        b1 = hue2rgb(p, q, h - 1 / 3);
+    if (isNaN(hsl.s)) {
+        hsl.s = 0;
     }
 
-    // Convert back to 0-255 range
-    r = Math.round(r1 * 255);
-    g = Math.round(g1 * 255);
-    b = Math.round(b1 * 255);
+    // Adjust saturation and lightness
+    hsl.s = Math.max(0, Math.min(1, hsl.s + saturationDelta));
+    hsl.l = Math.max(0, Math.min(1, hsl.l + brightnessDelta / 100));
+    hsl.opacity = 1;
 
-    return `rgb(${r}, ${g}, ${b})`;
+    return hsl.rgb().toString();
 }
\ No newline at end of file
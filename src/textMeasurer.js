@@ -0,0 +1,30 @@
+/**
+ * Text measuring for chart layout
+ * Text is measured the way the chart draws it, so layouts follow the real font
+ */
+
+/**
+ * Create a measurer for text drawn in the chart's font
+ * Falls back to an estimate when nothing can be measured, e.g. in a detached or headless document
+ * @param {Object} root - D3 selection of the chart's root SVG element
+ * @param {Object} style - Text style { fontFamily, fontSize }
+ * @returns {Object} Measurer { measure(text), remove() }
+ */
+export function createTextMeasurer(root, { fontFamily, fontSize }) {
+    const probe = root.append('text')
+        .style('font-family', fontFamily)
+        .style('font-size', `${fontSize}px`)
+        .style('visibility', 'hidden');
+    const node = probe.node();
+
+    return {
+        measure(text) {
+            probe.text(text);
+            const width = typeof node.getComputedTextLength === 'function' ? node.getComputedTextLength() : 0;
+            return width > 0 ? width : String(text).length * fontSize * 0.55;
+        },
+        remove() {
+            probe.remove();
+        }
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * Chart themes
+ * A theme is a set of configuration values for every colour, font, stroke width
+ * and fill style. Colours and fonts are drawn through CSS custom properties
+ * so page CSS can override them without redrawing the chart
+ */
+import * as d3 from 'd3';
+
+/**
+ * Built-in theme presets, 'classic' is the default look
+ * @type {Object}
+ */
+export const themes = {
+    classic: {
+        backgroundColor: null,      // Chart background, transparent when null
+        textColor: '#333',          // Axis labels, slice labels and titles
+        axisColor: '#000',          // Axis lines and ticks
+        gridColor: '#e0e0e0',       // Grid lines
+        lineColor: 'steelblue',     // Line graph series color, the palette is used when null
+        colors: d3.schemeCategory10, // Series and slice palette
+        lineWidth: 3,               // Stroke width of line graph series
+        axisWidth: 2,               // Stroke width of hand-drawn axes
+        hoverLineColor: '#888',     // Line graph hover line
+        sliceStrokeColor: 'white',  // Outline between pie slices
+        tooltipBgColor: '#fff',
+        tooltipTextColor: '#333',
+        tooltipBorderColor: '#333',
+        fontFamily: 'xkcd',
+        fillStyle: 'directional'
+    },
+    chalkboard: {
+        backgroundColor: '#2f3b33',
+        textColor: '#f4f1e8',
+        axisColor: '#f4f1e8',
+        gridColor: '#56645a',
+        lineColor: null,
+        colors: ['#f7f3e3', '#f6c94c', '#8fd3f4', '#f49ac1', '#a8e6a1', '#ffb37a', '#c9b6f2', '#f28b82'],
+        lineWidth: 3,
+        axisWidth: 2,
+        hoverLineColor: '#a7b2a9',
+        sliceStrokeColor: '#2f3b33',
+        tooltipBgColor: '#2f3b33',
+        tooltipTextColor: '#f4f1e8',
+        tooltipBorderColor: '#f4f1e8',
+        fontFamily: 'xkcd',
+        fillStyle: 'directional'
+    },
+    blueprint: {
+        backgroundColor: '#1d4f91',
+        textColor: '#e8f1ff',
+        axisColor: '#e8f1ff',
+        gridColor: '#4a75b0',
+        lineColor: null,
+        colors: ['#ffffff', '#9fd3ff', '#ffe28a', '#ffb3b3', '#b8f2c8', '#d7c4ff', '#ffd1a3', '#c2f0f0'],
+        lineWidth: 2,
+        axisWidth: 1.5,
+        hoverLineColor: '#9fb9dc',
+        sliceStrokeColor: '#1d4f91',
+        tooltipBgColor: '#1d4f91',
+        tooltipTextColor: '#e8f1ff',
+        tooltipBorderColor: '#e8f1ff',
+        fontFamily: 'xkcd',
+        fillStyle: 'directional'
+    },
+    pencil: {
+        backgroundColor: '#fdfcf7',
+        textColor: '#4a4a4a',
+        axisColor: '#555555',
+        gridColor: '#e6e3d8',
+        lineColor: null,
+        colors: ['#555555', '#8a8a8a', '#3d3d3d', '#a0a0a0', '#6e6e6e', '#b5b5b5', '#2b2b2b', '#7c7c7c'],
+        lineWidth: 2,
+        axisWidth: 1.5,
+        hoverLineColor: '#aaaaaa',
+        sliceStrokeColor: '#fdfcf7',
+        tooltipBgColor: '#fdfcf7',
+        tooltipTextColor: '#4a4a4a',
+        tooltipBorderColor: '#6e6e6e',
+        fontFamily: 'xkcd',
+        fillStyle: 'oilpaint'
+    }
+};
+
+// Settings that can be overridden from page CSS, by custom property name
+const CSS_VARIABLES = {
+    backgroundColor: 'background-color',
+    textColor: 'text-color',
+    axisColor: 'axis-color',
+    gridColor: 'grid-color',
+    hoverLineColor: 'hover-line-color',
+    sliceStrokeColor: 'slice-stroke-color',
+    tooltipBgColor: 'tooltip-bg-color',
+    tooltipTextColor: 'tooltip-text-color',
+    tooltipBorderColor: 'tooltip-border-color',
+    fontFamily: 'font-family',
+    lineWidth: 'line-width',
+    axisWidth: 'axis-width'
+};
+
+/**
+ * Get the configuration values of a theme
+ * @param {String|Object} theme - Preset name, or a theme object that may name a preset to extend
+ * @returns {Object} Theme configuration values
+ */
+export function getThemeSettings(theme) {
+    if (typeof theme === 'string') {
+        if (!themes[theme]) {
+            throw new Error(`Handwritten graph: unknown theme "${theme}", expected one of ${Object.keys(themes).join(', ')}`);
+        }
+
+        return themes[theme];
+    }
+
+    if (!theme) {
+        return themes.classic;
+    }
+
+    const { extends: base = 'classic', ...overrides } = theme;
+    return { ...getThemeSettings(base), ...overrides };
+}
+
+/**
+ * Route themed settings through CSS custom properties
+ * Each value becomes the fallback of a --handwritten-graph-* property,
+ * so the chart looks the same unless page CSS sets the property.
+ * Exports replace the properties with their values again
+ * @param {Object} settings - Resolved chart configuration
+ * @returns {Object} Settings with CSS var() values, to be applied as styles
+ */
+export function applyCssVariables(settings) {
+    const themed = { ...settings };
+
+    Object.keys(CSS_VARIABLES).forEach(name => {
+        const fallback = settings[name] === null || settings[name] === undefined ? 'none' : settings[name];
+        themed[name] = `var(--handwritten-graph-${CSS_VARIABLES[name]}, ${fallback})`;
+    });
+
+    return themed;
+}
@@ -0,0 +1,152 @@
+/**
+ * Chart title, subtitle and axis titles
+ * Handwritten text drawn around the plot, which shrinks to make room for it
+ */
+import { addHandDrawnEffect } from './handDrawnUtils';
+import { createRandom } from './random';
+import { createTextMeasurer } from './textMeasurer';
+
+// Font sizes in pixels
+const TITLE_SIZE = 22;
+const SUBTITLE_SIZE = 15;
+const AXIS_TITLE_SIZE = 16;
+
+// Space taken by each kind of text, including the gap to the plot
+const TITLE_SPACE = 36;
+const SUBTITLE_SPACE = 22;
+const AXIS_TITLE_SPACE = 24;
+
+/**
+ * Check whether a title option has text to show
+ * @param {*} text - Option value
+ * @returns {Boolean} True when the text should be drawn
+ */
+function hasText(text) {
+    return text !== null && text !== undefined && text !== '';
+}
+
+/**
+ * Space the titles need around the plot
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} options - Space options
+ * @param {Boolean} options.axes - Whether the chart has axes that can be titled
+ * @returns {Object} Extra space { top, bottom, left } in pixels
+ */
+export function getTitleSpace(settings, { axes = true } = {}) {
+    const { title, subtitle, xAxisLabel, yAxisLabel } = settings;
+
+    return {
+        top: (hasText(title) ? TITLE_SPACE : 0) + (hasText(subtitle) ? SUBTITLE_SPACE : 0),
+        bottom: axes && hasText(xAxisLabel) ? AXIS_TITLE_SPACE : 0,
+        left: axes && hasText(yAxisLabel) ? AXIS_TITLE_SPACE : 0
+    };
+}
+
+/**
+ * Shrink the plot area of an axis chart to make room for its titles
+ * The chart keeps its overall size, the margins grow by the title space
+ * @param {Object} settings - Resolved chart configuration
+ * @returns {Object} Plot layout { width, height, margin }
+ */
+export function reserveTitleSpace(settings) {
+    const { width, height, margin } = settings;
+    const space = getTitleSpace(settings);
+
+    return {
+        width: Math.max(1, width - space.left),
+        height: Math.max(1, height - space.top - space.bottom),
+        margin: {
+            ...margin,
+            top: margin.top + space.top,
+            bottom: margin.bottom + space.bottom,
+            left: margin.left + space.left
+        }
+    };
+}
+
+/**
+ * Draw the chart title, subtitle and axis titles in handwriting
+ * @param {Object} root - D3 selection of the chart's root SVG element
+ * @param {Object} settings - Resolved chart configuration
+ * @param {Object} layout - Chart layout
+ * @param {Number} layout.width - Overall chart width
+ * @param {Number} layout.height - Overall chart height
+ * @param {Object} layout.plot - Plot area { x, y, width, height } for centering the axis titles,
+ * null for charts without axes
+ */
+export function drawTitles(root, settings, { width, height, plot = null }) {
+    const {
+        title, subtitle, xAxisLabel, yAxisLabel, titleUnderline,
+        fontFamily, textColor, handDrawnEffect, handDrawnJitter, strokeLinecap, seed
+    } = settings;
+
+    // Titles wobble on their own so they keep their look when the data changes
+    const random = createRandom(`${seed}:titles`);
+    const tilt = () => (handDrawnEffect ? (random() - 0.5) * 2 : 0);
+
+    // Keyed so update transitions fade titles in and out instead of moving them into the plot
+    const group = root.append('g')
+        .attr('class', 'chart-titles')
+        .attr('data-key', 'chart-titles')
+        .style('pointer-events', 'none');
+
+    const addText = (className, text, x, y, size) => group.append('text')
+        .attr('class', className)
+        .attr('data-key', className.split(' ').pop())
+        .attr('x', x)
+        .attr('y', y)
+        .attr('text-anchor', 'middle')
+        .text(text)
+        .style('font-family', fontFamily)
+        .style('font-size', `${size}px`)
+        .style('fill', textColor);
+
+    let top = 0;
+
+    if (hasText(title)) {
+        const baseline = top + TITLE_SIZE + 6;
+        addText('chart-title', title, width / 2, baseline, TITLE_SIZE)
+            .attr('transform', `rotate(${tilt()}, ${width / 2}, ${baseline})`);
+
+        // Underline as wide as the handwritten title
+        if (titleUnderline) {
+            const measurer = createTextMeasurer(root, { fontFamily, fontSize: TITLE_SIZE });
+            const halfWidth = measurer.measure(String(title)) / 2;
+            measurer.remove();
+            const pathString = `M${width / 2 - halfWidth},${baseline + 6}L${width / 2 + halfWidth},${baseline + 6}`;
+
+            group.append('path')
+                .attr('class', 'chart-title-underline')
+                .attr('data-key', 'chart-title-underline')
+                .attr('d', handDrawnEffect ? addHandDrawnEffect(pathString, handDrawnJitter, 30, random) : pathString)
+                .attr('fill', 'none')
+                .style('stroke', textColor)
+                .attr('stroke-width', 2)
+                .attr('stroke-linecap', strokeLinecap);
+        }
+
+        top += TITLE_SPACE;
+    }
+
+    if (hasText(subtitle)) {
+        addText('chart-subtitle', subtitle, width / 2, top + SUBTITLE_SIZE + 2, SUBTITLE_SIZE)
+            .style('opacity', 0.8);
+    }
+
+    if (!plot) {
+        return;
+    }
+
+    if (hasText(xAxisLabel)) {
+        addText('axis-title axis-title-x', xAxisLabel, plot.x + plot.width / 2, height - 8, AXIS_TITLE_SIZE);
+    }
+
+    // The y title reads upwards along the left edge
+    if (hasText(yAxisLabel)) {
+        const x = AXIS_TITLE_SIZE + 4;
+        const y = plot.y + plot.height / 2;
+
+        addText('axis-title axis-title-y', yAxisLabel, 0, 0, AXIS_TITLE_SIZE)
+            .attr('transform', `translate(${x}, ${y}) rotate(${-90 + tilt()})`);
+    }
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createGraph } from '../src/graph';
+import { createPieChart } from '../src/pie-chart';
+
+const lineData = {
+    labels: ['Jan', 'Feb', 'Mar'],
+    datasets: [
+        { label: 'Revenue', data: [10, 25, 15] },
+        { label: 'Costs', data: [8, 12, 20] }
+    ]
+};
+
+const pieData = [
+    { label: 'Marketing', value: 30 },
+    { label: 'Development', value: 45 },
+    { label: 'Research', value: 25 }
+];
+
+/**
+ * Press a key on an element
+ * @param {Object} node - Element that receives the key
+ * @param {String} key - Key value, e.g. 'ArrowRight'
+ */
+function press(node, key) {
+    node.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('keyboard navigation', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('labels the chart and steps through the x positions with the arrow keys', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createGraph('#chart', lineData, { seed: 1, animate: false, ariaLabel: 'Monthly results' });
+
+        const svg = document.querySelector('#chart svg');
+        const announced = () => document.querySelector('#chart [aria-live]').textContent;
+
+        expect(svg.getAttribute('role')).toBe('figure');
+        expect(svg.getAttribute('tabindex')).toBe('0');
+        expect(svg.querySelector('title').textContent).toBe('Monthly results');
+
+        svg.focus();
+        expect(announced()).toMatch(/^Jan: /);
+
+        press(svg, 'ArrowRight');
+        expect(announced()).toMatch(/^Feb: /);
+
+        press(svg, 'End');
+        expect(announced()).toMatch(/^Mar: /);
+
+        press(svg, 'ArrowRight');
+        expect(announced()).toMatch(/^Mar: /);
+
+        press(svg, 'Home');
+        expect(announced()).toMatch(/^Jan: /);
+
+        press(svg, 'Escape');
+        expect(announced()).toBe('');
+    });
+
+    it('leaves the data cursor alone for keys pressed on a legend entry', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createGraph('#chart', lineData, { seed: 1, animate: false });
+
+        const svg = document.querySelector('#chart svg');
+        const item = document.querySelector('#chart .legend-item');
+        const announced = () => document.querySelector('#chart [aria-live]').textContent;
+
+        svg.focus();
+        press(svg, 'ArrowRight');
+        expect(announced()).toMatch(/^Feb: /);
+
+        item.focus();
+        press(item, 'ArrowRight');
+        press(item, 'End');
+        expect(announced()).toBe('');
+
+        svg.focus();
+        expect(announced()).toMatch(/^Feb: /);
+    });
+
+    it('steps through the slices of a pie chart', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createPieChart('#chart', pieData, { seed: 1, animate: false });
+
+        const svg = document.querySelector('#chart svg');
+        const announced = () => document.querySelector('#chart [aria-live]').textContent;
+
+        svg.focus();
+        expect(announced()).toMatch(/^Marketing/);
+
+        press(svg, 'ArrowDown');
+        expect(announced()).toMatch(/^Development/);
+
+        svg.blur();
+        expect(announced()).toBe('');
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createGraph } from '../src/graph';
+import { createBarChart } from '../src/bar-chart';
+import { createScatterChart } from '../src/scatter-chart';
+import { createPieChart } from '../src/pie-chart';
+import { interpolatePath, transitionChanges } from '../src/animation';
+
+const seriesData = {
+    labels: ['Jan', 'Feb', 'Mar'],
+    datasets: [
+        { label: 'Revenue', data: [10, 25, 15] },
+        { label: 'Costs', data: [8, 12, 20] }
+    ]
+};
+
+const scatterData = {
+    datasets: [
+        { label: 'North', data: [{ x: 1, y: 2 }, { x: 3, y: 4 }] },
+        { label: 'South', data: [{ x: 2, y: 1 }] }
+    ]
+};
+
+const pieData = [
+    { label: 'Marketing', value: 30 },
+    { label: 'Development', value: 45 }
+];
+
+describe('entrance animation', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    [
+        ['line', createGraph, seriesData],
+        ['bar', createBarChart, seriesData],
+        ['scatter', createScatterChart, scatterData],
+        ['pie', createPieChart, pieData]
+    ].forEach(([type, create, data]) => {
+        it(`traces the ${type} legend border before the entries appear`, () => {
+            document.body.innerHTML = '<div id="chart"></div>';
+            const chart = create('#chart', data, { seed: 1, animate: true, legendBorder: true });
+
+            const border = document.querySelector('#chart .legend-border');
+            expect(border.getAttribute('stroke-dasharray')).toMatch(/^[\d.]+ [\d.]+$/);
+            expect(document.querySelector('#chart .legend').style.opacity).toBe('');
+            document.querySelectorAll('#chart .legend-item').forEach(item => {
+                expect(item.style.opacity).toBe('0');
+            });
+
+            chart.destroy();
+        });
+    });
+});
+
+describe('interpolatePath', () => {
+    it('morphs every subpath on its own', () => {
+        const from = 'M0,0L10,0M20,0L30,0M40,0L50,0';
+        const to = 'M0,10L10,10M20,10L30,10M40,10L50,10';
+        const middle = interpolatePath(from, to)(0.5);
+        const subpaths = middle.split('M').filter(Boolean);
+
+        expect(subpaths).toHaveLength(3);
+        expect(subpaths[1].startsWith('20,5L')).toBe(true);
+        expect(interpolatePath(from, to)(1)).toBe(to);
+    });
+
+    it('gives up on paths with a different number of subpaths', () => {
+        expect(interpolatePath('M0,0L10,0', 'M0,0L10,0M20,0L30,0')).toBeNull();
+    });
+});
+
+describe('transitionChanges', () => {
+    /**
+     * Create a detached chart drawing holding one keyed path
+     * @param {String} d - Path data
+     * @returns {Object} Root SVG element
+     */
+    function drawing(d) {
+        const root = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        root.innerHTML = `<g><path data-key="arrow" fill="none" stroke="black" d="${d}"></path></g>`;
+        return root;
+    }
+
+    it('morphs matching paths and cross-fades paths whose pieces do not match', () => {
+        const transition = { duration: 500, ease: t => t };
+
+        const morphed = drawing('M0,0L10,10M10,10L0,10');
+        transitionChanges(drawing('M0,0L20,20M20,20L0,20'), morphed, transition);
+        expect(morphed.querySelectorAll('[data-key="arrow"]')).toHaveLength(1);
+        expect(morphed.querySelector('path').getAttribute('d')).toBe('M0,0L20,20M20,20L0,20');
+
+        const faded = drawing('M0,0L10,10M10,10L0,10');
+        transitionChanges(drawing('M0,0L20,20'), faded, transition);
+        const [previous, current] = faded.querySelectorAll('[data-key="arrow"]');
+        expect(previous.getAttribute('d')).toBe('M0,0L20,20');
+        expect(previous.style.pointerEvents).toBe('none');
+        expect(current.getAttribute('d')).toBe('M0,0L10,10M10,10L0,10');
+        expect(current.style.opacity).toBe('0');
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { placeNotes } from '../src/annotations';
+
+const plot = { width: 400, height: 300 };
+
+/**
+ * Create a note for placeNotes
+ * @param {Number} x - Target x position
+ * @param {Number} y - Target y position
+ * @param {Object} options - Note size and offset
+ * @returns {Object} Note { target, width, height, dx, dy }
+ */
+function note(x, y, { width = 60, height = 20, dx = 40, dy = -40 } = {}) {
+    return { target: { x, y }, width, height, dx, dy };
+}
+
+describe('placeNotes', () => {
+    it('centers a note on its target moved by its offset', () => {
+        expect(placeNotes([note(100, 100)], plot)).toEqual([{ x0: 110, y0: 50, x1: 170, y1: 70 }]);
+    });
+
+    it('moves a later note whose spot is taken and keeps the earlier one', () => {
+        const [first, second] = placeNotes([note(100, 100), note(100, 100)], plot);
+
+        expect(first).toEqual({ x0: 110, y0: 50, x1: 170, y1: 70 });
+        expect(second).toEqual({ x0: 30, y0: 50, x1: 90, y1: 70 });
+    });
+
+    it('keeps notes off the other targets', () => {
+        const [first] = placeNotes([note(100, 100), note(140, 60)], plot);
+
+        expect(first).toEqual({ x0: 30, y0: 50, x1: 90, y1: 70 });
+    });
+
+    it('flips a note that would leave the plot', () => {
+        expect(placeNotes([note(10, 10)], plot)).toEqual([{ x0: 20, y0: 40, x1: 80, y1: 60 }]);
+    });
+
+    it('shifts the note into the plot when no spot fits', () => {
+        const [box] = placeNotes([note(25, 15, { width: 40 })], { width: 50, height: 30 });
+
+        expect(box).toEqual({ x0: 10, y0: 0, x1: 50, y1: 20 });
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { layoutBars } from '../src/bar-chart';
+
+const data = {
+    labels: ['Q1', 'Q2'],
+    datasets: [
+        { label: 'North', data: [10, 30] },
+        { label: 'South', data: [30, -10] },
+        { label: 'East', data: [-20, 20] }
+    ]
+};
+
+const visible = () => false;
+
+/**
+ * Segment bounds of every dataset at one label
+ * @param {Array} segments - Segments from layoutBars
+ * @param {Number} index - Label index
+ * @returns {Array} [start, end] per dataset
+ */
+function boundsAt(segments, index) {
+    return segments.map(dataset => [dataset[index].start, dataset[index].end]);
+}
+
+describe('layoutBars', () => {
+    it('starts every grouped bar at zero', () => {
+        const segments = layoutBars(data, 'grouped', visible);
+
+        expect(boundsAt(segments, 0)).toEqual([[0, 10], [0, 30], [0, -20]]);
+        expect(boundsAt(segments, 1)).toEqual([[0, 30], [0, -10], [0, 20]]);
+    });
+
+    it('stacks positive values upwards and negative values downwards from zero', () => {
+        const segments = layoutBars(data, 'stacked', visible);
+
+        expect(boundsAt(segments, 0)).toEqual([[0, 10], [10, 40], [0, -20]]);
+        expect(boundsAt(segments, 1)).toEqual([[0, 30], [0, -10], [30, 50]]);
+    });
+
+    it('stacks shares of the absolute label total in percent layouts', () => {
+        const segments = layoutBars(data, 'percent', visible);
+        const [north, south, east] = boundsAt(segments, 0);
+
+        expect(north[0]).toBe(0);
+        expect(north[1]).toBeCloseTo(1 / 6);
+        expect(south[0]).toBeCloseTo(1 / 6);
+        expect(south[1]).toBeCloseTo(2 / 3);
+        expect(east[0]).toBe(0);
+        expect(east[1]).toBeCloseTo(-1 / 3);
+        expect(segments.map(dataset => dataset[0].share).reduce((sum, share) => sum + Math.abs(share), 0)).toBeCloseTo(1);
+    });
+
+    it('gives hidden datasets no room in the stack', () => {
+        const segments = layoutBars(data, 'stacked', index => index === 0);
+
+        expect(boundsAt(segments, 0)).toEqual([[0, 0], [0, 30], [0, -20]]);
+        expect(segments[0][0].share).toBe(0);
+    });
+
+    it('counts missing values as zero', () => {
+        const segments = layoutBars({ labels: ['A'], datasets: [{ data: [null] }, { data: [5] }] }, 'stacked', visible);
+
+        expect(boundsAt(segments, 0)).toEqual([[0, 0], [0, 5]]);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { computeValueDomain, getSeriesKey } from '../src/chartComponents';
+import { createGraph } from '../src/graph';
+
+/**
+ * Largest value among tick labels
+ * @param {NodeList} ticks - Tick text elements
+ * @returns {Number} Largest tick value
+ */
+function largestTick(ticks) {
+    return Math.max(...Array.from(ticks, tick => +tick.textContent.replace(/,/g, '')));
+}
+
+describe('getSeriesKey', () => {
+    it('keys series by label and keeps repeated or missing labels apart', () => {
+        const items = [{ label: 'Sales' }, { label: 'Sales' }, { label: '' }, {}, { label: 0 }];
+
+        expect(items.map(getSeriesKey)).toEqual(['Sales', 'Sales#1', '#2', '#3', '0']);
+    });
+});
+
+describe('computeValueDomain', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('keeps zero in the domain and pads only the end away from it', () => {
+        expect(computeValueDomain([10, 20], {})).toEqual([0, 24]);
+        expect(computeValueDomain([-20, -10], {})).toEqual([-24, 0]);
+    });
+
+    it('pads both ends of data crossing zero', () => {
+        expect(computeValueDomain([-10, 10], {})).toEqual([-14, 14]);
+    });
+
+    it('leaves zero out when beginAtZero is off', () => {
+        expect(computeValueDomain([10, 20], { beginAtZero: false })).toEqual([8, 22]);
+    });
+
+    it('keeps fixed bounds and ignores missing values', () => {
+        expect(computeValueDomain([null, 5, undefined, NaN, 10], { yMin: -5, yMax: 50 })).toEqual([-5, 50]);
+        expect(computeValueDomain([null, 5, NaN, 10], {})).toEqual([0, 12]);
+    });
+
+    it('still spans a range when every value is zero or missing', () => {
+        expect(computeValueDomain([0, 0], {})).toEqual([0, 0.2]);
+        expect(computeValueDomain([], {})).toEqual([0, 1.2]);
+        expect(computeValueDomain([5, 5], { beginAtZero: false })).toEqual([4, 6]);
+    });
+
+    it('leaves hidden series out of the drawn y axis', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        const chart = createGraph('#chart', {
+            labels: ['Jan', 'Feb'],
+            datasets: [
+                { label: 'Revenue', data: [100, 300] },
+                { label: 'Costs', data: [10, 20] }
+            ]
+        }, { seed: 1, animate: false, animateUpdates: false });
+        const topTick = () => largestTick(document.querySelectorAll('#chart .y.axis .tick text'));
+
+        expect(topTick()).toBeGreaterThanOrEqual(300);
+
+        chart.setVisibility(0, false);
+
+        expect(topTick()).toBeLessThan(30);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { createGraph } from '../src/graph';
+
+const lineData = {
+    labels: ['Jan', 'Feb', 'Mar', 'Apr'],
+    datasets: [
+        { label: 'Revenue', data: [10, 25, 15, 30] },
+        { label: 'Costs', data: [8, 12, 20, 18] }
+    ]
+};
+
+/**
+ * Create a host element in a fresh document with a fixed layout width
+ * @param {Number} width - Reported client width of the host
+ * @returns {Object} { window, host, setWidth }
+ */
+function createHost(width) {
+    const { window } = new JSDOM('<div id="chart"></div>', { pretendToBeVisual: true });
+    const host = window.document.getElementById('chart');
+    let clientWidth = width;
+
+    Object.defineProperty(host, 'clientWidth', { get: () => clientWidth });
+
+    return { window, host, setWidth: value => { clientWidth = value; } };
+}
+
+describe('chart instance', () => {
+    it('resizes a responsive chart through the window of its own document', async () => {
+        const { window, host, setWidth } = createHost(600);
+        const chart = createGraph(host, lineData, { responsive: true, theme: { margin: { top: 10, right: 30, bottom: 40, left: 70 } }, seed: 1 });
+        const svg = () => host.querySelector('svg');
+
+        expect(+svg().getAttribute('width')).toBe(600);
+
+        setWidth(300);
+        window.dispatchEvent(new window.Event('resize'));
+        await new Promise(resolve => window.requestAnimationFrame(() => window.requestAnimationFrame(resolve)));
+
+        expect(+svg().getAttribute('width')).toBe(300);
+        chart.destroy();
+    });
+
+    it('hides series through setVisibility and keeps them hidden by label across updates', () => {
+        const { host } = createHost(600);
+        const chart = createGraph(host, lineData, { seed: 1, animateUpdates: false });
+        const legendTexts = () => Array.from(host.querySelectorAll('.legend-item-hidden text'), node => node.textContent);
+
+        chart.setVisibility(1, false);
+        expect(chart.getVisibility()).toEqual([true, false]);
+        expect(legendTexts()).toEqual(['Costs']);
+
+        // Reordered data keeps the same series hidden
+        chart.update({ ...lineData, datasets: [lineData.datasets[1], lineData.datasets[0]] });
+        expect(chart.getVisibility()).toEqual([false, true]);
+        expect(legendTexts()).toEqual(['Costs']);
+
+        // Series that are gone are forgotten, a new series with the same label starts visible
+        chart.update({ ...lineData, datasets: [lineData.datasets[0]] });
+        chart.update(lineData);
+        expect(chart.getVisibility()).toEqual([true, true]);
+
+        chart.setVisibility([false, true]);
+        expect(chart.getVisibility()).toEqual([false, true]);
+        chart.destroy();
+    });
+
+    it('keeps the SVG element IDs of charts with the same seed and id apart', () => {
+        const { window } = new JSDOM('<div id="a"></div><div id="b"></div>');
+        const doc = window.document;
+        const charts = ['a', 'b'].map(name => createGraph(doc.getElementById(name), lineData, { seed: 7, id: 'sales', animate: false }));
+        const ids = Array.from(doc.querySelectorAll('[id]'), node => node.id).filter(id => id !== 'a' && id !== 'b');
+
+        expect(ids.length).toBeGreaterThan(0);
+        expect(new Set(ids).size).toBe(ids.length);
+        ['a', 'b'].forEach(name => {
+            const svg = doc.querySelector(`#${name} svg`);
+            expect(svg.querySelector(`#${svg.getAttribute('aria-labelledby')}`)).not.toBeNull();
+        });
+        charts.forEach(chart => chart.destroy());
+    });
+
+    it('keeps series with repeated or empty labels apart', () => {
+        const { host } = createHost(600);
+        const data = {
+            labels: lineData.labels,
+            datasets: [
+                { label: 'Sales', data: [1, 2, 3, 4] },
+                { label: 'Sales', data: [4, 3, 2, 1] },
+                { label: '', data: [2, 2, 2, 2] },
+                { label: '', data: [3, 3, 3, 3] }
+            ]
+        };
+        const chart = createGraph(host, data, { seed: 1, animateUpdates: false });
+        const lineKeys = () => Array.from(host.querySelectorAll('.line'), node => node.getAttribute('data-key'));
+
+        expect(new Set(lineKeys()).size).toBe(4);
+
+        chart.setVisibility(1, false);
+        chart.setVisibility(3, false);
+        expect(chart.getVisibility()).toEqual([true, false, true, false]);
+        expect(lineKeys()).toHaveLength(2);
+        chart.destroy();
+    });
+});
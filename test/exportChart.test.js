@@ -0,0 +1,56 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createGraph } from '../src/graph';
+import { createPieChart } from '../src/pie-chart';
+import { renderToString } from '../src/renderToString';
+
+const lineData = {
+    labels: ['Jan', 'Feb', 'Mar'],
+    datasets: [
+        { label: 'Revenue', data: [10, 25, 15] },
+        { label: 'Costs', data: [8, 12, 20] }
+    ]
+};
+
+const pieData = [
+    { label: 'Marketing', value: 30 },
+    { label: 'Development', value: 45 }
+];
+
+describe('chart export', () => {
+    afterEach(() => {
+        document.head.innerHTML = '';
+        document.body.innerHTML = '';
+    });
+
+    it('exports standalone SVG without CSS custom properties', () => {
+        document.body.innerHTML = '<div id="line"></div><div id="pie"></div>';
+        const charts = [
+            createGraph('#line', lineData, { seed: 1, animate: false, theme: 'chalkboard', title: 'Sales' }),
+            createPieChart('#pie', pieData, { seed: 1, animate: false })
+        ];
+
+        charts.forEach(chart => {
+            const svg = chart.toSVG();
+
+            expect(svg.startsWith('<svg')).toBe(true);
+            expect(svg).toContain('class="handwritten-graph-standalone"');
+            expect(svg).toContain('@font-face');
+            expect(svg).not.toContain('var(--');
+        });
+    });
+
+    it('uses the theme values as fallbacks when rendering headless', () => {
+        const svg = renderToString('line', lineData, { seed: 1, theme: 'chalkboard' });
+
+        expect(svg).not.toContain('var(--');
+        expect(svg).toContain('font-family: xkcd');
+    });
+
+    it('keeps custom property values that page CSS sets on the chart', () => {
+        document.head.innerHTML = '<style>.chart-background { --handwritten-graph-background-color: rebeccapurple; }</style>';
+        document.body.innerHTML = '<div id="line"></div>';
+        const chart = createGraph('#line', lineData, { seed: 1, animate: false });
+
+        expect(chart.toSVG()).toMatch(/class="chart-background"[^>]*fill: rebeccapurple/);
+    });
+});
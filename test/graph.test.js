@@ -0,0 +1,161 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createGraph, splitRuns, stackSeries } from '../src/graph';
+
+/**
+ * Draw a graph into a fresh container
+ * @param {Object} data - Chart data
+ * @param {Object} config - Chart configuration
+ * @returns {Object} Chart instance
+ */
+function draw(data, config = {}) {
+    document.body.innerHTML = '<div id="chart"></div>';
+    return createGraph('#chart', data, { seed: 1, animate: false, animateUpdates: false, ...config });
+}
+
+/**
+ * Horizontal position of every x axis tick
+ * @returns {Array} Tick x positions in document order
+ */
+function xTickPositions() {
+    return Array.from(document.querySelectorAll('#chart .x.axis .tick'), tick => {
+        const [, position] = tick.getAttribute('transform').match(/translate\(([-\d.]+)/);
+        return +position;
+    });
+}
+
+describe('graph time axis', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('places date ticks in order inside the data range', () => {
+        const start = new Date(2024, 0, 1);
+        const end = new Date(2024, 2, 31);
+        draw({
+            datasets: [{ label: 'Visits', data: [{ x: end, y: 4 }, { x: start, y: 1 }, { x: new Date(2024, 1, 15), y: 3 }] }]
+        }, { xType: 'time' });
+
+        const values = Array.from(document.querySelectorAll('#chart .x.axis .tick'), tick => +tick.getAttribute('data-key').split(':').pop());
+        const positions = xTickPositions();
+
+        expect(values.length).toBeGreaterThan(1);
+        values.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(start.getTime());
+            expect(value).toBeLessThanOrEqual(end.getTime());
+        });
+        expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+
+    it('parses date strings and timestamps and formats ticks with a time format', () => {
+        draw({
+            labels: ['2024-01-01', Date.UTC(2024, 0, 8), new Date(Date.UTC(2024, 0, 15))],
+            datasets: [{ label: 'Visits', data: [1, 2, 3] }]
+        }, { xType: 'time', xTickFormat: '%b %d' });
+
+        const labels = Array.from(document.querySelectorAll('#chart .x.axis .tick text'), text => text.textContent);
+
+        expect(labels.length).toBeGreaterThan(1);
+        labels.forEach(label => expect(label).toMatch(/^Jan \d\d$/));
+    });
+});
+
+describe('graph gaps', () => {
+    const gapData = {
+        labels: ['A', 'B', 'C', 'D', 'E', 'F', 'G'],
+        datasets: [{ label: 'Sales', data: [1, 2, null, 4, 5, undefined, 7] }]
+    };
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('splits points into runs at missing values', () => {
+        const points = [null, 1, 2, NaN, 'n/a', 3, undefined, 4, 5].map((y, x) => ({ x, y }));
+
+        expect(splitRuns(points).map(run => run.map(point => point.y))).toEqual([[1, 2], [3], [4, 5]]);
+        expect(splitRuns([{ x: 0, y: null }])).toEqual([]);
+    });
+
+    it('leaves a gap at missing values by default', () => {
+        draw(gapData);
+
+        expect(document.querySelectorAll('#chart .line')).toHaveLength(2);
+        expect(document.querySelectorAll('#chart .line-gap')).toHaveLength(0);
+    });
+
+    it('bridges the gaps with dashed connectors when spanGaps is on', () => {
+        draw(gapData, { spanGaps: true });
+
+        const gaps = document.querySelectorAll('#chart .line-gap');
+        expect(document.querySelectorAll('#chart .line')).toHaveLength(2);
+        expect(gaps).toHaveLength(2);
+        gaps.forEach(gap => expect(gap.getAttribute('stroke-dasharray')).toBe('6,4'));
+    });
+});
+
+describe('graph stacked areas', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('stacks every series on the series below it at the same x position', () => {
+        const series = [
+            [{ x: 'A', y: 1 }, { x: 'B', y: 2 }],
+            [{ x: 'B', y: 5 }, { x: 'A', y: 3 }],
+            [{ x: 'A', y: -1 }, { x: 'B', y: null }]
+        ];
+        stackSeries(series, true);
+
+        expect(series[0].map(({ base, top }) => [base, top])).toEqual([[0, 1], [0, 2]]);
+        expect(series[1].map(({ base, top }) => [base, top])).toEqual([[2, 7], [1, 4]]);
+        expect(series[2].map(({ base, top }) => [base, top])).toEqual([[4, 3], [7, null]]);
+    });
+
+    it('skips missing values and hidden series in the stack', () => {
+        const series = [
+            [{ x: 'A', y: null }, { x: 'B', y: 2 }],
+            [],
+            [{ x: 'A', y: 3 }, { x: 'B', y: 3 }]
+        ];
+        stackSeries(series, true);
+
+        expect(series[2].map(({ base, top }) => [base, top])).toEqual([[0, 3], [2, 5]]);
+    });
+
+    it('starts unstacked series at zero', () => {
+        const series = [[{ x: 1, y: 4 }], [{ x: 1, y: 6 }]];
+        stackSeries(series, false);
+
+        expect(series.flat().map(({ base, top }) => [base, top])).toEqual([[0, 4], [0, 6]]);
+    });
+
+    it('closes a stacked area along the line of the series below it', () => {
+        draw({
+            labels: ['A', 'B', 'C'],
+            datasets: [
+                { label: 'Rent', data: [1, 2, 3] },
+                { label: 'Food', data: [3, 2, 1] }
+            ]
+        }, { stacked: true, handDrawnEffect: false });
+
+        const [, firstPoint] = document.querySelector('#chart .line-0').getAttribute('d').match(/^M([^C L]+)/);
+
+        expect(document.querySelectorAll('#chart .area')).toHaveLength(2);
+        expect(document.querySelector('#chart .area-1').getAttribute('d').endsWith(`${firstPoint}Z`)).toBe(true);
+    });
+
+    it('closes an unstacked area along zero', () => {
+        draw({
+            labels: ['A', 'B'],
+            datasets: [{ label: 'Rent', data: [2, 4], fill: true }]
+        }, { handDrawnEffect: false, yMin: -2 });
+
+        const tickY = value => +document.querySelector(`#chart .y.axis .tick[data-key$=":${value}"]`)
+            .getAttribute('transform').match(/,\s*([-\d.]+)/)[1];
+        const [, closeFrom, closeTo] = document.querySelector('#chart .area-0').getAttribute('d').match(/L[\d.]+,([-\d.]+)L[\d.]+,([-\d.]+)Z$/);
+
+        expect(+closeFrom).toBe(+closeTo);
+        expect(Math.abs(closeTo - tickY(0))).toBeLessThan(1);
+        expect(+closeTo).toBeLessThan(tickY(-2));
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import * as d3 from 'd3';
+import { createPieChart } from '../src/pie-chart';
+import { placeLegend } from '../src/legend';
+
+const pieData = [
+    { label: 'Marketing', value: 30 },
+    { label: 'Development', value: 45 },
+    { label: 'Research', value: 15 }
+];
+
+/**
+ * Press a key on an element
+ * @param {Object} node - Element that receives the key
+ * @param {String} key - Key value, e.g. 'Enter'
+ */
+function press(node, key) {
+    node.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('legend', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('makes every entry a focusable toggle button', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createPieChart('#chart', pieData, { seed: 1 });
+
+        const items = document.querySelectorAll('#chart .legend-item');
+        expect(items).toHaveLength(3);
+        items.forEach(item => {
+            expect(item.getAttribute('tabindex')).toBe('0');
+            expect(item.getAttribute('role')).toBe('button');
+            expect(item.getAttribute('aria-pressed')).toBe('false');
+        });
+    });
+
+    it('toggles the focused entry with Enter and Space and keeps the focus on it', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        const chart = createPieChart('#chart', pieData, { seed: 1, animateUpdates: false });
+        const item = index => document.querySelectorAll('#chart .legend-item')[index];
+
+        item(1).focus();
+        press(item(1), 'Enter');
+        expect(chart.getVisibility()).toEqual([true, false, true]);
+        expect(item(1).getAttribute('aria-pressed')).toBe('true');
+        expect(document.activeElement).toBe(item(1));
+
+        press(item(1), ' ');
+        expect(chart.getVisibility()).toEqual([true, true, true]);
+        expect(item(1).getAttribute('aria-pressed')).toBe('false');
+
+        press(item(1), 'a');
+        expect(chart.getVisibility()).toEqual([true, true, true]);
+    });
+
+    it('rejects an unknown position before anything is added to the page', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+
+        expect(() => createPieChart('#chart', pieData, { legend: 'middle' })).toThrow(/unknown legend position "middle"/);
+        expect(document.getElementById('chart').childNodes).toHaveLength(0);
+    });
+});
+
+describe('legend layout', () => {
+    const entries = [{ label: 'Marketing' }, { label: 'Development' }, { label: 'Research' }, { label: 'Sales' }];
+    const layout = { width: 600, height: 300, margin: { top: 20, right: 20, bottom: 40, left: 60 } };
+
+    /**
+     * Lay out the test entries with a legend option
+     * @param {*} legend - Legend option
+     * @param {Object} options - Extra settings and the space kept free along the edges
+     * @returns {Object} Plot layout and legend from placeLegend
+     */
+    function place(legend, { settings = {}, outer } = {}) {
+        const root = d3.select(document.body).append('svg');
+        const placed = placeLegend(root, entries, {
+            settings: { fontFamily: 'xkcd', legendBorder: false, legend, ...settings },
+            defaults: { position: 'right' },
+            layout,
+            outer
+        });
+        root.remove();
+        return placed;
+    }
+
+    it('takes a band beside the plot for left and right legends', () => {
+        const { layout: plot, legend } = place('right');
+
+        expect(legend.items.every(item => item.x === 0)).toBe(true);
+        expect(legend.items.map(item => item.y)).toEqual([0, 20, 40, 60]);
+        expect(plot.width).toBe(layout.width - legend.width - 20);
+        expect(plot.margin.right).toBe(layout.margin.right + legend.width + 20);
+        expect(legend.x + legend.width).toBe(680 - 10);
+        expect(legend.y).toBe(plot.margin.top + (plot.height - legend.height) / 2);
+    });
+
+    it('takes a band below the titles for top legends and reads across', () => {
+        const { layout: plot, legend } = place('top', { outer: { top: 30, bottom: 0, left: 0 } });
+
+        expect(legend.items.every(item => item.y === 0)).toBe(true);
+        expect(legend.height).toBe(20);
+        expect(plot.height).toBe(layout.height - 40);
+        expect(plot.margin.top).toBe(layout.margin.top + 40);
+        expect(legend.y).toBe(40);
+    });
+
+    it('keeps the plot size for legends inside the plot', () => {
+        const { layout: plot, legend } = place('inside-bottom-left');
+
+        expect(plot).toEqual(layout);
+        expect(legend.x).toBe(layout.margin.left + 10);
+        expect(legend.y).toBe(layout.margin.top + layout.height - 10 - legend.height);
+    });
+
+    it('uses the given number of columns and adds the border padding', () => {
+        const { legend } = place({ position: 'bottom', columns: 2, flow: 'vertical' }, { settings: { legendBorder: true } });
+
+        expect(legend.items.map(({ x, y }) => [x > 0, y])).toEqual([[false, 0], [false, 20], [true, 0], [true, 20]]);
+        expect(legend.height).toBe(40 + 20);
+        expect(legend.offset).toBe(10);
+    });
+
+    it('draws no legend when the position is none', () => {
+        const { layout: plot, legend } = place(false);
+
+        expect(legend).toBeNull();
+        expect(plot).toBe(layout);
+    });
+});
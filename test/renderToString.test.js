@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { renderToString } from '../src/renderToString';
+
+const lineData = {
+    labels: ['Jan', 'Feb', 'Mar', 'Apr'],
+    datasets: [
+        { label: 'Revenue', data: [10, 25, 15, 30] },
+        { label: 'Costs', data: [8, 12, 20, 18] }
+    ]
+};
+
+const pieData = [
+    { label: 'Marketing', value: 30 },
+    { label: 'Development', value: 45 },
+    { label: 'Research', value: 15 }
+];
+
+describe('renderToString', () => {
+    it('draws the same markup for the same id, seed and data', () => {
+        const config = { width: 400, height: 200, seed: 'report', id: 'report' };
+
+        expect(renderToString('line', lineData, config)).toBe(renderToString('line', lineData, config));
+        expect(renderToString('pie', pieData, config)).toBe(renderToString('pie', pieData, config));
+    });
+
+    it('uses the configured id as given, and numbers the IDs without one', () => {
+        expect(renderToString('line', lineData, { seed: 'report', id: 'sales report' })).toContain('id="sales-report-xkcdify"');
+        expect(renderToString('line', lineData, { seed: 'report' })).toMatch(/id="handwritten-graph-\d+-xkcdify"/);
+    });
+
+    it('draws into the document it is given', () => {
+        const { document } = new JSDOM('').window;
+        const svg = renderToString('bar', lineData, { document, seed: 1 });
+
+        expect(svg.startsWith('<svg')).toBe(true);
+        expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+    });
+
+    it('rejects unknown chart types', () => {
+        expect(() => renderToString('radar', lineData)).toThrow(/unknown chart type "radar"/);
+    });
+});
@@ -0,0 +1,20 @@
+/**
+ * jsdom does no layout and has no SVG geometry, fill in what the charts use:
+ * the bounding box the tooltip sizes itself with, and the transform list
+ * d3 reads when it transitions a transform (read as no transform)
+ */
+if (typeof window !== 'undefined') {
+    const proto = window.SVGElement.prototype;
+
+    if (!proto.getBBox) {
+        proto.getBBox = function getBBox() {
+            return { x: 0, y: 0, width: (this.textContent || '').length * 8, height: 20 };
+        };
+    }
+
+    if (!('transform' in proto)) {
+        Object.defineProperty(proto, 'transform', {
+            get: () => ({ baseVal: { consolidate: () => null } })
+        });
+    }
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createScatterChart } from '../src/scatter-chart';
+import { createPieChart } from '../src/pie-chart';
+
+/**
+ * Dispatch a touch pointer event, jsdom has no PointerEvent and does no layout,
+ * so the client position is the position in the listening group's coordinates
+ * @param {String} type - Event type, e.g. 'pointerdown'
+ * @param {Object} node - Element the event is dispatched on
+ * @param {Number} x - Pointer x position
+ * @param {Number} y - Pointer y position
+ */
+function touch(type, node, x, y) {
+    const event = new window.MouseEvent(type, { clientX: x, clientY: y, bubbles: true });
+    Object.defineProperty(event, 'pointerType', { value: 'touch' });
+    node.dispatchEvent(event);
+}
+
+// Text of the tooltip shown on the chart
+const tooltipText = () => document.querySelector('#chart .xkcd-tooltip').textContent;
+
+describe('drag to scrub', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('moves the pinned tooltip to the scatter point under the finger', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createScatterChart('#chart', {
+            datasets: [{
+                label: 'Cities',
+                data: [
+                    { x: 10, y: 10, label: 'Springfield' },
+                    { x: 50, y: 50, label: 'Shelbyville' }
+                ]
+            }]
+        }, { seed: 1, animate: false, width: 200, height: 200 });
+
+        const [first, second] = document.querySelectorAll('#chart .point');
+        const cx = +second.getAttribute('data-cx');
+        const cy = +second.getAttribute('data-cy');
+
+        touch('pointerdown', first, 0, 0);
+        expect(tooltipText()).toMatch(/^Springfield/);
+
+        // Close enough to the point's edge to reach it
+        touch('pointermove', second, cx + +second.getAttribute('data-r') + 4, cy);
+        expect(tooltipText()).toMatch(/^Shelbyville/);
+
+        // Empty space keeps the pinned point
+        touch('pointermove', second, 100, 100);
+        expect(tooltipText()).toMatch(/^Shelbyville/);
+    });
+
+    it('moves the pinned tooltip to the pie slice under the finger', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createPieChart('#chart', [
+            { label: 'Marketing', value: 50 },
+            { label: 'Development', value: 50 }
+        ], { seed: 1, animate: false, width: 300, height: 300, legend: false });
+
+        const slices = document.querySelectorAll('#chart .arc path');
+
+        // The first slice runs clockwise from 12 o'clock, the second one back up to it
+        touch('pointerdown', slices[0], 20, 0);
+        expect(tooltipText()).toMatch(/^Marketing/);
+
+        touch('pointermove', slices[0], -20, 0);
+        expect(tooltipText()).toMatch(/^Development/);
+
+        // Past the pie's edge nothing is picked, the pinned slice stays
+        touch('pointermove', slices[0], 1000, 0);
+        expect(tooltipText()).toMatch(/^Development/);
+    });
+});
+
+describe('tooltip colors', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('draws the text in the tooltip text color and the border in the border color', () => {
+        document.body.innerHTML = '<div id="chart"></div>';
+        createPieChart('#chart', [
+            { label: 'Marketing', value: 50 },
+            { label: 'Development', value: 50 }
+        ], {
+            seed: 1, animate: false, width: 300, height: 300, legend: false,
+            theme: { tooltipTextColor: '#123456', tooltipBorderColor: '#abcdef' }
+        });
+
+        touch('pointerdown', document.querySelector('#chart .arc path'), 20, 0);
+
+        const texts = document.querySelectorAll('#chart .xkcd-tooltip text');
+        expect(texts.length).toBeGreaterThan(1);
+        texts.forEach(text => expect(text.style.fill).toMatch(/#123456|rgb\(18, 52, 86\)/));
+        expect(document.querySelector('#chart .xkcd-tooltip rect').style.stroke).toMatch(/#abcdef|rgb\(171, 205, 239\)/);
+    });
+});
@@ -0,0 +1,9 @@
+const { defineConfig } = require('vitest/config');
+
+module.exports = defineConfig({
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.js'],
+    setupFiles: ['test/setup.js'],
+  },
+});
@@ -23,8 +23,10 @@ module.exports = {
       {
         test: /\.scss$/,
         use: [
-          'style-loader',  // Converts CSS into JS
-          'css-loader',    // Translates CSS into CommonJS
+          {
+            loader: 'css-loader', // Exports the CSS as a string, injected at runtime
+            options: { exportType: 'string', url: false }
+          },
           'sass-loader'    // Compiles SCSS to CSS
         ],
       },